@@ -5,29 +5,38 @@ import Navbar from './components/layout/Navbar';
 import Landing from './components/layout/Landing';
 import Register from './components/auth/Register';
 import Login from './components/auth/Login';
+import ForgotPassword from './components/auth/ForgotPassword';
+import ResetPassword from './components/auth/ResetPassword';
+import VerifyEmail from './components/auth/VerifyEmail';
+import GithubCallback from './components/auth/GithubCallback';
+import MagicLink from './components/auth/MagicLink';
 import Alert from './components/layout/Alert';
 import Dashboard from './components/dashboard/Dashboard';
 import CreateProfile from './components/profile-forms/CreateProfile';
 import EditProfile from './components/profile-forms/EditProfile';
+import ProfilePrivacy from './components/profile-forms/ProfilePrivacy';
 import AddExperience from './components/profile-forms/AddExperience';
 import AddEducation from './components/profile-forms/AddEducation';
+import AccountSettings from './components/account/AccountSettings';
 import Profiles from './components/profiles/Profiles';
 import Profile from './components/profile/Profile';
 import Posts from './components/posts/Posts';
 import Post from './components/post/Post';
+import Search from './components/search/Search';
 import PrivateRoute from './components/routing/PrivateRoute';
 
 //Redux
 import { Provider } from 'react-redux';
 import store from './store';
-import { loadUser } from './actions/auth';
-import setAuthToken from './utils/setAuthToken';
+import { loadUser, refreshToken } from './actions/auth';
+import setAuthToken, { setupTokenRefresh } from './utils/setAuthToken';
 
 import './App.css';
 
 if (localStorage.token) {
   setAuthToken(localStorage.token);
 }
+setupTokenRefresh(() => store.dispatch(refreshToken()));
 
 const App = () => {
   useEffect(() => {
@@ -45,8 +54,27 @@ const App = () => {
             <Switch>
               <Route exact path='/register' component={Register} />
               <Route exact path='/login' component={Login} />
+              <Route
+                exact
+                path='/forgot-password'
+                component={ForgotPassword}
+              />
+              <Route
+                exact
+                path='/reset-password/:token'
+                component={ResetPassword}
+              />
+              <Route
+                exact
+                path='/verify-email/:token'
+                component={VerifyEmail}
+              />
+              <Route exact path='/oauth/callback' component={GithubCallback} />
+              <Route exact path='/magic-link/:token' component={MagicLink} />
               <Route exact path='/profiles' component={Profiles} />
               <Route exact path='/profile/:id' component={Profile} />
+              <Route exact path='/@:handle' component={Profile} />
+              <Route exact path='/search' component={Search} />
               <PrivateRoute exact path='/dashboard' component={Dashboard} />
               <PrivateRoute
                 exact
@@ -58,16 +86,36 @@ const App = () => {
                 path='/edit-profile'
                 component={EditProfile}
               />
+              <PrivateRoute
+                exact
+                path='/profile-privacy'
+                component={ProfilePrivacy}
+              />
               <PrivateRoute
                 exact
                 path='/add-experience'
                 component={AddExperience}
               />
+              <PrivateRoute
+                exact
+                path='/edit-experience/:id'
+                component={AddExperience}
+              />
               <PrivateRoute
                 exact
                 path='/add-education'
                 component={AddEducation}
               />
+              <PrivateRoute
+                exact
+                path='/edit-education/:id'
+                component={AddEducation}
+              />
+              <PrivateRoute
+                exact
+                path='/account-settings'
+                component={AccountSettings}
+              />
               <PrivateRoute
                 exact
                 path='/posts'
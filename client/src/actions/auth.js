@@ -8,9 +8,33 @@ import {
   LOGIN_SUCCESS,
   LOGIN_FAIL,
   LOGOUT,
+  TOKEN_REFRESHED,
+  REGISTRATION_LOADED,
+  TWO_FACTOR_REQUIRED,
+  TWO_FACTOR_SETUP,
+  TWO_FACTOR_ENABLED,
+  TWO_FACTOR_DISABLED,
+  GET_SESSIONS,
+  SESSION_REVOKED,
   CLEAR_PROFILE
 } from './types';
-import setAuthToken from '../utils/setAuthToken';
+import setAuthToken, { hasCookieSession } from '../utils/setAuthToken';
+
+// show API errors as alerts, keeping rate limit errors up until retry is allowed;
+// errors for the fields in `except` are left for the form to show
+const alertErrors = (err, dispatch, except = []) => {
+  const { data, status, headers } = err.response;
+  const timeout =
+    status === 429
+      ? Math.min(Math.max(Number(headers['retry-after']) || 5, 5), 60) * 1000
+      : undefined;
+
+  if (data.errors) {
+    data.errors
+      .filter(error => !except.includes(error.param))
+      .forEach(error => dispatch(setAlert(error.msg, 'danger', timeout)));
+  }
+};
 
 // Load User
 export const loadUser = () => async dispatch => {
@@ -31,15 +55,34 @@ export const loadUser = () => async dispatch => {
   }
 };
 
-// register user
-export const register = ({ name, email, password }) => async dispatch => {
+// find out whether registering needs an invite code
+export const getRegistration = () => async dispatch => {
+  try {
+    const result = await axios.get('/api/users/registration');
+
+    dispatch({
+      type: REGISTRATION_LOADED,
+      payload: result.data
+    });
+  } catch (err) {
+    // the form still works, the server reports a missing invite code
+  }
+};
+
+// register user, resolves to the password rules that were not met
+export const register = ({
+  name,
+  email,
+  password,
+  inviteCode
+}) => async dispatch => {
   const config = {
     headers: {
       'Content-Type': 'application/json'
     }
   };
 
-  const body = JSON.stringify({ name, email, password });
+  const body = JSON.stringify({ name, email, password, inviteCode });
 
   try {
     const result = await axios.post('/api/users', body, config);
@@ -50,14 +93,15 @@ export const register = ({ name, email, password }) => async dispatch => {
     });
 
     dispatch(loadUser());
+    return [];
   } catch (err) {
-    const errors = err.response.data.errors;
-    if (errors) {
-      errors.forEach(error => dispatch(setAlert(error.msg, 'danger')));
-    }
+    alertErrors(err, dispatch, ['password']);
     dispatch({
       type: REGISTER_FAIL
     });
+    return (err.response.data.errors || []).filter(
+      error => error.param === 'password'
+    );
   }
 };
 
@@ -74,6 +118,14 @@ export const login = ({ email, password }) => async dispatch => {
   try {
     const result = await axios.post('/api/auth', body, config);
 
+    if (result.data.twoFactor) {
+      dispatch({
+        type: TWO_FACTOR_REQUIRED,
+        payload: result.data.challengeToken
+      });
+      return;
+    }
+
     dispatch({
       type: LOGIN_SUCCESS,
       payload: result.data
@@ -81,18 +133,460 @@ export const login = ({ email, password }) => async dispatch => {
 
     dispatch(loadUser());
   } catch (err) {
-    const errors = err.response.data.errors;
-    if (errors) {
-      errors.forEach(error => dispatch(setAlert(error.msg, 'danger')));
-    }
+    alertErrors(err, dispatch);
     dispatch({
       type: LOGIN_FAIL
     });
   }
 };
 
+// second login step, exchange the challenge for tokens with a TOTP code
+export const verifyTwoFactor = code => async (dispatch, getState) => {
+  const config = {
+    headers: {
+      'Content-Type': 'application/json'
+    }
+  };
+
+  const body = JSON.stringify({
+    challengeToken: getState().auth.twoFactorChallenge,
+    code
+  });
+
+  try {
+    const result = await axios.post('/api/auth/2fa/verify', body, config);
+
+    dispatch({
+      type: LOGIN_SUCCESS,
+      payload: result.data
+    });
+
+    dispatch(loadUser());
+  } catch (err) {
+    alertErrors(err, dispatch);
+    // an expired challenge means starting over from the password
+    if (err.response.status === 401) {
+      dispatch({
+        type: LOGIN_FAIL
+      });
+    }
+  }
+};
+
+// finish GitHub sign in / linking with the result the server put in the URL,
+// a sign in comes as a one-time code to trade for tokens
+export const githubCallback = (params, history) => async dispatch => {
+  if (params.get('error')) {
+    dispatch(setAlert(params.get('error'), 'danger'));
+    history.push('/login');
+    return;
+  }
+  if (params.get('linked')) {
+    dispatch(setAlert(`GitHub account ${params.get('linked')} linked`, 'success'));
+    dispatch(loadUser());
+    history.push('/dashboard');
+    return;
+  }
+
+  const config = {
+    headers: {
+      'Content-Type': 'application/json'
+    }
+  };
+
+  const body = JSON.stringify({ code: params.get('code') });
+
+  try {
+    const result = await axios.post('/api/auth/github/exchange', body, config);
+
+    if (result.data.twoFactor) {
+      dispatch({
+        type: TWO_FACTOR_REQUIRED,
+        payload: result.data.challengeToken
+      });
+      history.push('/login');
+      return;
+    }
+
+    dispatch({
+      type: LOGIN_SUCCESS,
+      payload: result.data
+    });
+    dispatch(loadUser());
+    history.push('/dashboard');
+  } catch (err) {
+    alertErrors(err, dispatch);
+    history.push('/login');
+  }
+};
+
+// link GitHub to the signed in account
+export const linkGithub = () => async dispatch => {
+  try {
+    const result = await axios.post('/api/auth/github/link');
+
+    window.location = result.data.url;
+  } catch (err) {
+    dispatch(setAlert('Could not reach GitHub, please try again', 'danger'));
+  }
+};
+
+// start 2FA enrollment
+export const setupTwoFactor = () => async dispatch => {
+  try {
+    const result = await axios.post('/api/auth/2fa/setup');
+
+    dispatch({
+      type: TWO_FACTOR_SETUP,
+      payload: result.data
+    });
+  } catch (err) {
+    alertErrors(err, dispatch);
+  }
+};
+
+// confirm 2FA enrollment
+export const enableTwoFactor = code => async dispatch => {
+  const config = {
+    headers: {
+      'Content-Type': 'application/json'
+    }
+  };
+
+  const body = JSON.stringify({ code });
+
+  try {
+    const result = await axios.post('/api/auth/2fa/enable', body, config);
+
+    dispatch({
+      type: TWO_FACTOR_ENABLED,
+      payload: result.data.recoveryCodes
+    });
+    dispatch(setAlert(result.data.msg, 'success'));
+    dispatch(loadUser());
+  } catch (err) {
+    alertErrors(err, dispatch);
+  }
+};
+
+// turn 2FA off
+export const disableTwoFactor = (password, code) => async dispatch => {
+  const config = {
+    headers: {
+      'Content-Type': 'application/json'
+    }
+  };
+
+  const body = JSON.stringify({ password, code });
+
+  try {
+    const result = await axios.post('/api/auth/2fa/disable', body, config);
+
+    dispatch({
+      type: TWO_FACTOR_DISABLED
+    });
+    dispatch(setAlert(result.data.msg, 'success'));
+    dispatch(loadUser());
+  } catch (err) {
+    alertErrors(err, dispatch);
+  }
+};
+
+// request password reset email
+export const forgotPassword = email => async dispatch => {
+  const config = {
+    headers: {
+      'Content-Type': 'application/json'
+    }
+  };
+
+  const body = JSON.stringify({ email });
+
+  try {
+    const result = await axios.post('/api/auth/forgot-password', body, config);
+
+    dispatch(setAlert(result.data.msg, 'success'));
+  } catch (err) {
+    alertErrors(err, dispatch);
+  }
+};
+
+// email a one-time sign-in link instead of using the password
+export const sendMagicLink = email => async dispatch => {
+  const config = {
+    headers: {
+      'Content-Type': 'application/json'
+    }
+  };
+
+  const body = JSON.stringify({ email });
+
+  try {
+    const result = await axios.post('/api/auth/magic-link', body, config);
+
+    dispatch(setAlert(result.data.msg, 'success'));
+  } catch (err) {
+    alertErrors(err, dispatch);
+  }
+};
+
+// sign in with the token from an emailed link
+export const loginWithMagicLink = (token, history) => async dispatch => {
+  const config = {
+    headers: {
+      'Content-Type': 'application/json'
+    }
+  };
+
+  const body = JSON.stringify({ token });
+
+  try {
+    const result = await axios.post('/api/auth/magic-link/verify', body, config);
+
+    if (result.data.twoFactor) {
+      dispatch({
+        type: TWO_FACTOR_REQUIRED,
+        payload: result.data.challengeToken
+      });
+      history.push('/login');
+      return;
+    }
+
+    dispatch({
+      type: LOGIN_SUCCESS,
+      payload: result.data
+    });
+    dispatch(loadUser());
+    history.push('/dashboard');
+  } catch (err) {
+    alertErrors(err, dispatch);
+    history.push('/login');
+  }
+};
+
+// reset password with emailed token
+export const resetPassword = (token, password, history) => async dispatch => {
+  const config = {
+    headers: {
+      'Content-Type': 'application/json'
+    }
+  };
+
+  const body = JSON.stringify({ token, password });
+
+  try {
+    const result = await axios.post('/api/auth/reset-password', body, config);
+
+    dispatch(setAlert(result.data.msg, 'success'));
+    history.push('/login');
+  } catch (err) {
+    alertErrors(err, dispatch);
+  }
+};
+
+// confirm email address with emailed token
+export const verifyEmail = token => async dispatch => {
+  const config = {
+    headers: {
+      'Content-Type': 'application/json'
+    }
+  };
+
+  const body = JSON.stringify({ token });
+
+  try {
+    const result = await axios.post('/api/users/verify', body, config);
+
+    dispatch(setAlert(result.data.msg, 'success'));
+    if (localStorage.token || hasCookieSession()) {
+      dispatch(loadUser());
+    }
+  } catch (err) {
+    alertErrors(err, dispatch);
+  }
+};
+
+// resend verification email
+export const resendVerification = () => async dispatch => {
+  try {
+    const result = await axios.post('/api/users/verify/resend');
+
+    dispatch(setAlert(result.data.msg, 'success'));
+  } catch (err) {
+    alertErrors(err, dispatch);
+  }
+};
+
+// refresh access token, resolves to whether it worked; with a cookie session
+// the refresh token is sent by the browser instead
+export const refreshToken = () => async dispatch => {
+  const config = {
+    headers: {
+      'Content-Type': 'application/json'
+    }
+  };
+
+  const body = JSON.stringify({ refreshToken: localStorage.refreshToken });
+
+  try {
+    const result = await axios.post('/api/auth/refresh', body, config);
+
+    dispatch({
+      type: TOKEN_REFRESHED,
+      payload: result.data
+    });
+    setAuthToken(result.data.token);
+
+    return true;
+  } catch (err) {
+    setAuthToken(null);
+    dispatch({ type: CLEAR_PROFILE });
+    dispatch({
+      type: AUTH_ERROR
+    });
+
+    return false;
+  }
+};
+
 // logout / clear Profile
-export const logout = () => dispatch => {
+export const logout = () => async dispatch => {
+  if (localStorage.refreshToken || hasCookieSession()) {
+    const config = {
+      headers: {
+        'Content-Type': 'application/json'
+      }
+    };
+
+    const body = JSON.stringify({ refreshToken: localStorage.refreshToken });
+
+    try {
+      await axios.post('/api/auth/logout', body, config);
+    } catch (err) {
+      // the tokens are dropped locally regardless
+    }
+  }
+
+  setAuthToken(null);
   dispatch({ type: CLEAR_PROFILE });
   dispatch({ type: LOGOUT });
 };
+
+// get active sessions
+export const getSessions = () => async dispatch => {
+  try {
+    const result = await axios.get('/api/auth/sessions');
+
+    dispatch({
+      type: GET_SESSIONS,
+      payload: result.data
+    });
+  } catch (err) {
+    alertErrors(err, dispatch);
+  }
+};
+
+// sign out one session
+export const revokeSession = id => async dispatch => {
+  try {
+    await axios.delete(`/api/auth/sessions/${id}`);
+
+    dispatch({
+      type: SESSION_REVOKED,
+      payload: id
+    });
+    dispatch(setAlert('Session signed out', 'success'));
+  } catch (err) {
+    alertErrors(err, dispatch);
+  }
+};
+
+// sign out of every session, including this one
+export const logoutEverywhere = () => async dispatch => {
+  if (window.confirm('Sign out of every device, including this one?')) {
+    try {
+      await axios.delete('/api/auth/sessions');
+
+      setAuthToken(null);
+      dispatch({ type: CLEAR_PROFILE });
+      dispatch({ type: LOGOUT });
+    } catch (err) {
+      alertErrors(err, dispatch);
+    }
+  }
+};
+
+// change password
+export const changePassword = ({ currentPassword, password }) => async dispatch => {
+  const config = {
+    headers: {
+      'Content-Type': 'application/json'
+    }
+  };
+
+  const body = JSON.stringify({ currentPassword, password });
+
+  try {
+    const result = await axios.put('/api/users/password', body, config);
+
+    dispatch(setAlert(result.data.msg, 'success'));
+    dispatch(getSessions());
+  } catch (err) {
+    alertErrors(err, dispatch);
+  }
+};
+
+// change email, once the new address is confirmed
+export const changeEmail = ({ email, password }) => async dispatch => {
+  const config = {
+    headers: {
+      'Content-Type': 'application/json'
+    }
+  };
+
+  const body = JSON.stringify({ email, password });
+
+  try {
+    const result = await axios.put('/api/users/email', body, config);
+
+    dispatch({
+      type: USER_LOADED,
+      payload: result.data
+    });
+    dispatch(
+      setAlert(
+        'Please follow the link we sent to your new address to finish the change',
+        'success'
+      )
+    );
+  } catch (err) {
+    alertErrors(err, dispatch);
+  }
+};
+
+// upload a new avatar, it replaces the one on all posts and comments
+export const uploadAvatar = file => async dispatch => {
+  const body = new FormData();
+  body.append('avatar', file);
+
+  try {
+    await axios.post('/api/users/avatar', body);
+
+    dispatch(loadUser());
+    dispatch(setAlert('Avatar updated', 'success'));
+  } catch (err) {
+    alertErrors(err, dispatch);
+  }
+};
+
+// go back to the Gravatar for the account's email
+export const removeAvatar = () => async dispatch => {
+  try {
+    await axios.delete('/api/users/avatar');
+
+    dispatch(loadUser());
+    dispatch(setAlert('Avatar removed', 'success'));
+  } catch (err) {
+    alertErrors(err, dispatch);
+  }
+};
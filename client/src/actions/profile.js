@@ -1,5 +1,6 @@
 import axios from 'axios';
 import { setAlert } from './alert';
+import { loadUser } from './auth';
 import {
   GET_PROFILE,
   GET_PROFILES,
@@ -27,12 +28,12 @@ export const getCurrentProfile = () => async dispatch => {
   }
 };
 
-// get all profiles
-export const getProfiles = () => async dispatch => {
+// search profiles, search is a query string such as '?skills=react&page=2'
+export const getProfiles = (search = '') => async dispatch => {
   dispatch({ type: CLEAR_PROFILE });
 
   try {
-    const result = await axios.get('/api/profile/');
+    const result = await axios.get(`/api/profile${search}`);
 
     dispatch({
       type: GET_PROFILES,
@@ -63,6 +64,23 @@ export const getProfileById = userId => async dispatch => {
   }
 };
 
+// get profile by handle
+export const getProfileByHandle = handle => async dispatch => {
+  try {
+    const result = await axios.get(`/api/profile/handle/${handle}`);
+
+    dispatch({
+      type: GET_PROFILE,
+      payload: result.data
+    });
+  } catch (err) {
+    dispatch({
+      type: PROFILE_ERROR,
+      payload: { msg: err.response.statusText, status: err.response.status }
+    });
+  }
+};
+
 // get Github repos
 export const getGithubRepos = username => async dispatch => {
   try {
@@ -118,6 +136,37 @@ export const createProfile = (
   }
 };
 
+// set who may see each profile section
+export const updatePrivacy = formData => async dispatch => {
+  try {
+    const config = {
+      headers: {
+        'Content-Type': 'application/json'
+      }
+    };
+
+    const result = await axios.put('/api/profile/privacy', formData, config);
+
+    dispatch({
+      type: UPDATE_PROFILE,
+      payload: result.data
+    });
+
+    dispatch(setAlert('Privacy Settings Updated', 'success'));
+  } catch (err) {
+    const errors = err.response.data.errors;
+
+    if (errors) {
+      errors.forEach(error => dispatch(setAlert(error.msg, 'danger')));
+    }
+
+    dispatch({
+      type: PROFILE_ERROR,
+      payload: { msg: err.response.statusText, status: err.response.status }
+    });
+  }
+};
+
 // Add Experience
 export const addExperience = (formData, history) => async dispatch => {
   try {
@@ -151,6 +200,43 @@ export const addExperience = (formData, history) => async dispatch => {
   }
 };
 
+// Update experience
+export const updateExperience = (id, formData, history) => async dispatch => {
+  try {
+    const config = {
+      headers: {
+        'Content-Type': 'application/json'
+      }
+    };
+
+    const result = await axios.put(
+      `/api/profile/experience/${id}`,
+      formData,
+      config
+    );
+
+    dispatch({
+      type: UPDATE_PROFILE,
+      payload: result.data
+    });
+
+    dispatch(setAlert('Experience Updated', 'success'));
+
+    history.push('/dashboard');
+  } catch (err) {
+    const errors = err.response.data.errors;
+
+    if (errors) {
+      errors.forEach(error => dispatch(setAlert(error.msg, 'danger')));
+    }
+
+    dispatch({
+      type: PROFILE_ERROR,
+      payload: { msg: err.response.statusText, status: err.response.status }
+    });
+  }
+};
+
 // Add Education
 export const addEducation = (formData, history) => async dispatch => {
   try {
@@ -184,6 +270,93 @@ export const addEducation = (formData, history) => async dispatch => {
   }
 };
 
+// Update education
+export const updateEducation = (id, formData, history) => async dispatch => {
+  try {
+    const config = {
+      headers: {
+        'Content-Type': 'application/json'
+      }
+    };
+
+    const result = await axios.put(
+      `/api/profile/education/${id}`,
+      formData,
+      config
+    );
+
+    dispatch({
+      type: UPDATE_PROFILE,
+      payload: result.data
+    });
+
+    dispatch(setAlert('Education Updated', 'success'));
+
+    history.push('/dashboard');
+  } catch (err) {
+    const errors = err.response.data.errors;
+
+    if (errors) {
+      errors.forEach(error => dispatch(setAlert(error.msg, 'danger')));
+    }
+
+    dispatch({
+      type: PROFILE_ERROR,
+      payload: { msg: err.response.statusText, status: err.response.status }
+    });
+  }
+};
+
+// put experience or education entries in a manual order
+export const reorderEntries = (section, order) => async dispatch => {
+  try {
+    const config = {
+      headers: {
+        'Content-Type': 'application/json'
+      }
+    };
+
+    const result = await axios.put(
+      `/api/profile/order/${section}`,
+      { order },
+      config
+    );
+
+    dispatch({
+      type: UPDATE_PROFILE,
+      payload: result.data
+    });
+  } catch (err) {
+    const errors = err.response.data.errors;
+
+    if (errors) {
+      errors.forEach(error => dispatch(setAlert(error.msg, 'danger')));
+    }
+
+    dispatch({
+      type: PROFILE_ERROR,
+      payload: { msg: err.response.statusText, status: err.response.status }
+    });
+  }
+};
+
+// go back to sorting experience or education by date
+export const resetOrder = section => async dispatch => {
+  try {
+    const result = await axios.delete(`/api/profile/order/${section}`);
+
+    dispatch({
+      type: UPDATE_PROFILE,
+      payload: result.data
+    });
+  } catch (err) {
+    dispatch({
+      type: PROFILE_ERROR,
+      payload: { msg: err.response.statusText, status: err.response.status }
+    });
+  }
+};
+
 // delete experience
 export const deleteExperience = id => async dispatch => {
   try {
@@ -222,16 +395,48 @@ export const deleteEducation = id => async dispatch => {
   }
 };
 
+// download all of the user's data, as JSON or a zip with an HTML index
+export const exportData = (format = 'json') => async dispatch => {
+  try {
+    const result = await axios.get(`/api/users/export?format=${format}`, {
+      responseType: 'blob'
+    });
+
+    const url = window.URL.createObjectURL(result.data);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `devconnector-export.${format}`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    window.URL.revokeObjectURL(url);
+  } catch (err) {
+    dispatch(setAlert('Could not export your data, please try again', 'danger'));
+  }
+};
+
 // delete account & profile
 export const deleteAccount = () => async dispatch => {
-  if (window.confirm('Are you sure? This cannot be undone.')) {
+  if (
+    window.confirm(
+      'Are you sure? Your account will be permanently deleted unless you sign in again to restore it.'
+    )
+  ) {
     try {
-      await axios.delete('/api/profile/');
+      const result = await axios.delete('/api/profile/');
 
       dispatch({ type: CLEAR_PROFILE });
       dispatch({ type: ACCOUNT_DELETED });
 
-      dispatch(setAlert('Your account has been permanently deleted'));
+      dispatch(
+        setAlert(
+          `Your account will be permanently deleted on ${new Date(
+            result.data.deleteAfter
+          ).toLocaleDateString()}. Sign in before then to restore it.`,
+          'success',
+          15000
+        )
+      );
     } catch (err) {
       dispatch({
         type: PROFILE_ERROR,
@@ -240,3 +445,18 @@ export const deleteAccount = () => async dispatch => {
     }
   }
 };
+
+// cancel a scheduled account deletion
+export const restoreAccount = () => async dispatch => {
+  try {
+    await axios.post('/api/profile/restore');
+
+    dispatch(setAlert('Your account has been restored', 'success'));
+    dispatch(loadUser());
+  } catch (err) {
+    dispatch({
+      type: PROFILE_ERROR,
+      payload: { msg: err.response.statusText, status: err.response.status }
+    });
+  }
+};
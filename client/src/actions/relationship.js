@@ -0,0 +1,52 @@
+import axios from 'axios';
+import { setAlert } from './alert';
+import { GET_RELATIONSHIPS, RELATIONSHIP_ERROR } from './types';
+
+// get the users I have blocked or muted
+export const getRelationships = () => async dispatch => {
+  try {
+    const result = await axios.get('/api/relationships');
+
+    dispatch({
+      type: GET_RELATIONSHIPS,
+      payload: result.data
+    });
+  } catch (err) {
+    dispatch({
+      type: RELATIONSHIP_ERROR,
+      payload: { msg: err.response.statusText, status: err.response.status }
+    });
+  }
+};
+
+// add a user to or take them off the block or mute list
+const updateRelationship = (action, id, add, message) => async dispatch => {
+  try {
+    if (add) {
+      await axios.put(`/api/relationships/${action}/${id}`);
+    } else {
+      await axios.delete(`/api/relationships/${action}/${id}`);
+    }
+
+    dispatch(getRelationships());
+    dispatch(setAlert(message, 'success'));
+  } catch (err) {
+    dispatch(setAlert(err.response.data.msg || 'Something went wrong', 'danger'));
+    dispatch({
+      type: RELATIONSHIP_ERROR,
+      payload: { msg: err.response.statusText, status: err.response.status }
+    });
+  }
+};
+
+export const blockUser = id =>
+  updateRelationship('block', id, true, 'User Blocked');
+
+export const unblockUser = id =>
+  updateRelationship('block', id, false, 'User Unblocked');
+
+export const muteUser = id =>
+  updateRelationship('mute', id, true, 'User Muted');
+
+export const unmuteUser = id =>
+  updateRelationship('mute', id, false, 'User Unmuted');
@@ -0,0 +1,19 @@
+import axios from 'axios';
+import { GET_SEARCH_RESULTS, SEARCH_ERROR } from './types';
+
+// full-text search, search is the query string of the results page
+export const search = search => async dispatch => {
+  try {
+    const result = await axios.get(`/api/search${search}`);
+
+    dispatch({
+      type: GET_SEARCH_RESULTS,
+      payload: result.data
+    });
+  } catch (err) {
+    dispatch({
+      type: SEARCH_ERROR,
+      payload: { msg: err.response.statusText, status: err.response.status }
+    });
+  }
+};
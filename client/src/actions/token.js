@@ -0,0 +1,70 @@
+import axios from 'axios';
+import { setAlert } from './alert';
+import { GET_TOKENS, ADD_TOKEN, DELETE_TOKEN, TOKEN_ERROR } from './types';
+
+// get personal access tokens
+export const getTokens = () => async dispatch => {
+  try {
+    const result = await axios.get('/api/tokens');
+
+    dispatch({
+      type: GET_TOKENS,
+      payload: result.data
+    });
+  } catch (err) {
+    dispatch({
+      type: TOKEN_ERROR,
+      payload: { msg: err.response.statusText, status: err.response.status }
+    });
+  }
+};
+
+// create personal access token
+export const addToken = formData => async dispatch => {
+  const config = {
+    headers: {
+      'Content-Type': 'application/json'
+    }
+  };
+
+  try {
+    const result = await axios.post('/api/tokens', formData, config);
+
+    dispatch({
+      type: ADD_TOKEN,
+      payload: result.data
+    });
+
+    dispatch(setAlert('Token Created', 'success'));
+  } catch (err) {
+    const errors = err.response.data.errors;
+
+    if (errors) {
+      errors.forEach(error => dispatch(setAlert(error.msg, 'danger')));
+    }
+
+    dispatch({
+      type: TOKEN_ERROR,
+      payload: { msg: err.response.statusText, status: err.response.status }
+    });
+  }
+};
+
+// revoke personal access token
+export const deleteToken = id => async dispatch => {
+  try {
+    await axios.delete(`/api/tokens/${id}`);
+
+    dispatch({
+      type: DELETE_TOKEN,
+      payload: id
+    });
+
+    dispatch(setAlert('Token Revoked', 'success'));
+  } catch (err) {
+    dispatch({
+      type: TOKEN_ERROR,
+      payload: { msg: err.response.statusText, status: err.response.status }
+    });
+  }
+};
@@ -7,6 +7,14 @@ export const AUTH_ERROR = 'AUTH_ERROR';
 export const LOGIN_SUCCESS = 'LOGIN_SUCCESS';
 export const LOGIN_FAIL = 'LOGIN_FAIL';
 export const LOGOUT = 'LOGOUT';
+export const TOKEN_REFRESHED = 'TOKEN_REFRESHED';
+export const REGISTRATION_LOADED = 'REGISTRATION_LOADED';
+export const TWO_FACTOR_REQUIRED = 'TWO_FACTOR_REQUIRED';
+export const TWO_FACTOR_SETUP = 'TWO_FACTOR_SETUP';
+export const TWO_FACTOR_ENABLED = 'TWO_FACTOR_ENABLED';
+export const TWO_FACTOR_DISABLED = 'TWO_FACTOR_DISABLED';
+export const GET_SESSIONS = 'GET_SESSIONS';
+export const SESSION_REVOKED = 'SESSION_REVOKED';
 export const GET_PROFILE = 'GET_PROFILE';
 export const GET_PROFILES = 'GET_PROFILES';
 export const GET_REPOS = 'GET_REPOS';
@@ -22,3 +30,11 @@ export const DELETE_POST = 'DELETE_POST';
 export const ADD_POST = 'ADD_POST';
 export const ADD_COMMENT = 'ADD_COMMENT';
 export const REMOVE_COMMENT = 'REMOVE_COMMENT';
+export const GET_TOKENS = 'GET_TOKENS';
+export const ADD_TOKEN = 'ADD_TOKEN';
+export const DELETE_TOKEN = 'DELETE_TOKEN';
+export const TOKEN_ERROR = 'TOKEN_ERROR';
+export const GET_RELATIONSHIPS = 'GET_RELATIONSHIPS';
+export const RELATIONSHIP_ERROR = 'RELATIONSHIP_ERROR';
+export const GET_SEARCH_RESULTS = 'GET_SEARCH_RESULTS';
+export const SEARCH_ERROR = 'SEARCH_ERROR';
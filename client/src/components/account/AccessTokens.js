@@ -0,0 +1,172 @@
+import React, { Fragment, useEffect, useState } from 'react';
+import PropTypes from 'prop-types';
+import Moment from 'react-moment';
+import { connect } from 'react-redux';
+import { getTokens, addToken, deleteToken } from '../../actions/token';
+import hasRole from '../../utils/hasRole';
+
+const SCOPES = [
+  'user:read',
+  'profile:read',
+  'profile:write',
+  'posts:read',
+  'posts:write'
+];
+
+// lets a token act with a moderator's or admin's role
+const ADMIN_SCOPE = 'admin';
+
+const AccessTokens = ({
+  auth: { user },
+  token: { tokens, created },
+  getTokens,
+  addToken,
+  deleteToken
+}) => {
+  useEffect(() => {
+    getTokens();
+  }, [getTokens]);
+
+  const [formData, setFormData] = useState({
+    name: '',
+    scopes: [],
+    expiresInDays: '30'
+  });
+
+  const { name, scopes, expiresInDays } = formData;
+
+  const onChange = e =>
+    setFormData({ ...formData, [e.target.name]: e.target.value });
+
+  const toggleScope = scope =>
+    setFormData({
+      ...formData,
+      scopes: scopes.includes(scope)
+        ? scopes.filter(item => item !== scope)
+        : [...scopes, scope]
+    });
+
+  const onSubmit = e => {
+    e.preventDefault();
+    addToken(formData);
+    setFormData({ name: '', scopes: [], expiresInDays: '30' });
+  };
+
+  const rows = tokens.map(token => (
+    <tr key={token._id}>
+      <td>
+        {token.name} <code>{token.hint}…</code>
+      </td>
+      <td className='hide-sm'>{token.scopes.join(', ')}</td>
+      <td className='hide-sm'>
+        {token.expires ? (
+          <Moment format='YYYY/MM/DD'>{token.expires}</Moment>
+        ) : (
+          'Never'
+        )}
+      </td>
+      <td className='hide-sm'>
+        {token.lastUsed ? <Moment fromNow>{token.lastUsed}</Moment> : 'Never'}
+      </td>
+      <td>
+        <button
+          onClick={() => deleteToken(token._id)}
+          className='btn btn-danger'
+        >
+          Revoke
+        </button>
+      </td>
+    </tr>
+  ));
+
+  return (
+    <Fragment>
+      <h2 className='my-2'>Personal Access Tokens</h2>
+      <small>
+        Send a token as <code>Authorization: Bearer &lt;token&gt;</code> to
+        script against the API
+      </small>
+      {created && (
+        <div className='alert alert-light'>
+          Copy your new token now, it will not be shown again:{' '}
+          <code>{created}</code>
+        </div>
+      )}
+      <table className='table'>
+        <thead>
+          <tr>
+            <th>Name</th>
+            <th className='hide-sm'>Scopes</th>
+            <th className='hide-sm'>Expires</th>
+            <th className='hide-sm'>Last Used</th>
+            <th />
+          </tr>
+        </thead>
+        <tbody>{rows}</tbody>
+      </table>
+      <form className='form' onSubmit={e => onSubmit(e)}>
+        <div className='form-group'>
+          <input
+            type='text'
+            placeholder='* Token Name'
+            name='name'
+            value={name}
+            onChange={e => onChange(e)}
+            required
+          />
+        </div>
+        <div className='form-group'>
+          {(hasRole(user, 'moderator', 'admin')
+            ? [...SCOPES, ADMIN_SCOPE]
+            : SCOPES
+          ).map(scope => (
+            <p key={scope}>
+              <input
+                type='checkbox'
+                checked={scopes.includes(scope)}
+                onChange={() => toggleScope(scope)}
+              />{' '}
+              {scope}
+            </p>
+          ))}
+        </div>
+        <div className='form-group'>
+          <select
+            name='expiresInDays'
+            value={expiresInDays}
+            onChange={e => onChange(e)}
+          >
+            <option value='7'>Expires in 7 days</option>
+            <option value='30'>Expires in 30 days</option>
+            <option value='90'>Expires in 90 days</option>
+            <option value='365'>Expires in a year</option>
+            <option value=''>Never expires</option>
+          </select>
+        </div>
+        <input
+          type='submit'
+          className='btn btn-primary my-1'
+          value='Create Token'
+        />
+      </form>
+    </Fragment>
+  );
+};
+
+AccessTokens.propTypes = {
+  auth: PropTypes.object.isRequired,
+  token: PropTypes.object.isRequired,
+  getTokens: PropTypes.func.isRequired,
+  addToken: PropTypes.func.isRequired,
+  deleteToken: PropTypes.func.isRequired
+};
+
+const mapStateToProps = state => ({
+  auth: state.auth,
+  token: state.token
+});
+
+export default connect(
+  mapStateToProps,
+  { getTokens, addToken, deleteToken }
+)(AccessTokens);
@@ -0,0 +1,157 @@
+import React, { Fragment, useState } from 'react';
+import PropTypes from 'prop-types';
+import { Link } from 'react-router-dom';
+import { connect } from 'react-redux';
+import { setAlert } from '../../actions/alert';
+import { changePassword, changeEmail } from '../../actions/auth';
+import Avatar from './Avatar';
+import AccessTokens from './AccessTokens';
+
+const AccountSettings = ({
+  auth: { user },
+  setAlert,
+  changePassword,
+  changeEmail
+}) => {
+  const [passwordData, setPasswordData] = useState({
+    currentPassword: '',
+    password: '',
+    password2: ''
+  });
+  const [emailData, setEmailData] = useState({
+    email: '',
+    emailPassword: ''
+  });
+
+  const { currentPassword, password, password2 } = passwordData;
+  const { email, emailPassword } = emailData;
+
+  const onPasswordChange = e =>
+    setPasswordData({ ...passwordData, [e.target.name]: e.target.value });
+
+  const onEmailChange = e =>
+    setEmailData({ ...emailData, [e.target.name]: e.target.value });
+
+  const onPasswordSubmit = e => {
+    e.preventDefault();
+    if (password !== password2) {
+      setAlert('Passwords do not match', 'danger');
+    } else {
+      changePassword({ currentPassword, password });
+      setPasswordData({ currentPassword: '', password: '', password2: '' });
+    }
+  };
+
+  const onEmailSubmit = e => {
+    e.preventDefault();
+    changeEmail({ email, password: emailPassword });
+    setEmailData({ email: '', emailPassword: '' });
+  };
+
+  return (
+    <Fragment>
+      <h1 className='large text-primary'>Account Settings</h1>
+      <p className='lead'>
+        <i className='fas fa-user-cog' /> Signed in as {user && user.email}
+      </p>
+
+      <Avatar />
+
+      <h2 className='my-2'>Change Password</h2>
+      <small>Every other device will be signed out</small>
+      <form className='form' onSubmit={e => onPasswordSubmit(e)}>
+        <div className='form-group'>
+          <input
+            type='password'
+            placeholder='Current Password'
+            name='currentPassword'
+            value={currentPassword}
+            onChange={e => onPasswordChange(e)}
+          />
+        </div>
+        <div className='form-group'>
+          <input
+            type='password'
+            placeholder='New Password'
+            name='password'
+            value={password}
+            onChange={e => onPasswordChange(e)}
+            required
+          />
+        </div>
+        <div className='form-group'>
+          <input
+            type='password'
+            placeholder='Confirm New Password'
+            name='password2'
+            value={password2}
+            onChange={e => onPasswordChange(e)}
+            required
+          />
+        </div>
+        <input
+          type='submit'
+          className='btn btn-primary my-1'
+          value='Change Password'
+        />
+      </form>
+
+      <h2 className='my-2'>Change Email</h2>
+      <small>
+        Your email changes once you follow the link we send to the new address,
+        and your Gravatar will follow it unless you uploaded an avatar
+      </small>
+      {user && user.pendingEmail && (
+        <p>Waiting for {user.pendingEmail} to be confirmed</p>
+      )}
+      <form className='form' onSubmit={e => onEmailSubmit(e)}>
+        <div className='form-group'>
+          <input
+            type='email'
+            placeholder='New Email Address'
+            name='email'
+            value={email}
+            onChange={e => onEmailChange(e)}
+            required
+          />
+        </div>
+        <div className='form-group'>
+          <input
+            type='password'
+            placeholder='Current Password'
+            name='emailPassword'
+            value={emailPassword}
+            onChange={e => onEmailChange(e)}
+          />
+        </div>
+        <input
+          type='submit'
+          className='btn btn-primary my-1'
+          value='Change Email'
+        />
+      </form>
+
+      <AccessTokens />
+
+      <Link className='btn btn-light my-1' to='/dashboard'>
+        Go Back
+      </Link>
+    </Fragment>
+  );
+};
+
+AccountSettings.propTypes = {
+  auth: PropTypes.object.isRequired,
+  setAlert: PropTypes.func.isRequired,
+  changePassword: PropTypes.func.isRequired,
+  changeEmail: PropTypes.func.isRequired
+};
+
+const mapStateToProps = state => ({
+  auth: state.auth
+});
+
+export default connect(
+  mapStateToProps,
+  { setAlert, changePassword, changeEmail }
+)(AccountSettings);
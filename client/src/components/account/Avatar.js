@@ -0,0 +1,80 @@
+import React, { Fragment, useState } from 'react';
+import PropTypes from 'prop-types';
+import { connect } from 'react-redux';
+import { setAlert } from '../../actions/alert';
+import { uploadAvatar, removeAvatar } from '../../actions/auth';
+
+const AVATAR_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
+const MAX_AVATAR_MB = 2;
+
+const Avatar = ({ auth: { user }, setAlert, uploadAvatar, removeAvatar }) => {
+  const [file, setFile] = useState(null);
+
+  const onChange = e => setFile(e.target.files[0] || null);
+
+  const onSubmit = e => {
+    e.preventDefault();
+    if (!AVATAR_TYPES.includes(file.type)) {
+      setAlert('Avatar must be a JPEG, PNG, GIF or WebP image', 'danger');
+    } else if (file.size > MAX_AVATAR_MB * 1024 * 1024) {
+      setAlert(`Avatar must be at most ${MAX_AVATAR_MB} MB`, 'danger');
+    } else {
+      uploadAvatar(file);
+      setFile(null);
+      e.target.reset();
+    }
+  };
+
+  const uploaded = user && user.avatarSizes && user.avatarSizes.medium;
+
+  return (
+    <Fragment>
+      <h2 className='my-2'>Avatar</h2>
+      {user && <img src={user.avatar} alt='avatar' className='round-img' />}
+      <form className='form' onSubmit={e => onSubmit(e)}>
+        <div className='form-group'>
+          <input
+            type='file'
+            name='avatar'
+            accept={AVATAR_TYPES.join(',')}
+            onChange={e => onChange(e)}
+          />
+          <small className='form-text'>
+            JPEG, PNG, GIF or WebP up to {MAX_AVATAR_MB} MB, cropped square
+          </small>
+        </div>
+        <input
+          type='submit'
+          className='btn btn-primary my-1'
+          value='Upload Avatar'
+          disabled={!file}
+        />
+        {uploaded && (
+          <button
+            type='button'
+            className='btn btn-light my-1'
+            onClick={() => removeAvatar()}
+          >
+            Use Gravatar
+          </button>
+        )}
+      </form>
+    </Fragment>
+  );
+};
+
+Avatar.propTypes = {
+  auth: PropTypes.object.isRequired,
+  setAlert: PropTypes.func.isRequired,
+  uploadAvatar: PropTypes.func.isRequired,
+  removeAvatar: PropTypes.func.isRequired
+};
+
+const mapStateToProps = state => ({
+  auth: state.auth
+});
+
+export default connect(
+  mapStateToProps,
+  { setAlert, uploadAvatar, removeAvatar }
+)(Avatar);
@@ -0,0 +1,50 @@
+import React, { Fragment, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { connect } from 'react-redux';
+import PropTypes from 'prop-types';
+import { forgotPassword } from '../../actions/auth';
+
+const ForgotPassword = ({ forgotPassword }) => {
+  const [email, setEmail] = useState('');
+
+  const onSubmit = async e => {
+    e.preventDefault();
+    forgotPassword(email);
+  };
+
+  return (
+    <Fragment>
+      <section className='container'>
+        <h1 className='large text-primary'>Forgot Password</h1>
+        <p className='lead'>
+          <i className='fas fa-key' /> We will email you a link to reset it
+        </p>
+        <form className='form' onSubmit={e => onSubmit(e)}>
+          <div className='form-group'>
+            <input
+              type='email'
+              placeholder='Email Address'
+              name='email'
+              value={email}
+              onChange={e => setEmail(e.target.value)}
+              required
+            />
+          </div>
+          <input type='submit' className='btn btn-primary' value='Send Link' />
+        </form>
+        <p className='my-1'>
+          Remembered it? <Link to='/login'>Sign In</Link>
+        </p>
+      </section>
+    </Fragment>
+  );
+};
+
+ForgotPassword.propTypes = {
+  forgotPassword: PropTypes.func.isRequired
+};
+
+export default connect(
+  null,
+  { forgotPassword }
+)(ForgotPassword);
@@ -0,0 +1,15 @@
+import React from 'react';
+
+// a plain link, the dev server proxy only forwards XHR requests, so while
+// developing it goes straight to the API server the proxy points at
+const API_URL =
+  process.env.REACT_APP_API_URL ||
+  (process.env.NODE_ENV === 'development' ? 'http://localhost:5000' : '');
+
+const GithubButton = () => (
+  <a href={`${API_URL}/api/auth/github`} className='btn btn-dark my-1'>
+    <i className='fab fa-github' /> Sign in with GitHub
+  </a>
+);
+
+export default GithubButton;
@@ -0,0 +1,22 @@
+import { useEffect } from 'react';
+import { withRouter } from 'react-router-dom';
+import { connect } from 'react-redux';
+import PropTypes from 'prop-types';
+import { githubCallback } from '../../actions/auth';
+
+const GithubCallback = ({ githubCallback, location, history }) => {
+  useEffect(() => {
+    githubCallback(new URLSearchParams(location.hash.slice(1)), history);
+  }, [githubCallback, location.hash, history]);
+
+  return null;
+};
+
+GithubCallback.propTypes = {
+  githubCallback: PropTypes.func.isRequired
+};
+
+export default connect(
+  null,
+  { githubCallback }
+)(withRouter(GithubCallback));
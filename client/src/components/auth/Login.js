@@ -2,22 +2,41 @@ import React, { Fragment, useState } from 'react';
 import { Link, Redirect } from 'react-router-dom';
 import { connect } from 'react-redux';
 import PropTypes from 'prop-types';
-import { login } from '../../actions/auth';
+import GithubButton from './GithubButton';
+import { login, verifyTwoFactor, sendMagicLink } from '../../actions/auth';
 
-const Login = ({ login, isAuthenticated }) => {
+const Login = ({
+  login,
+  verifyTwoFactor,
+  sendMagicLink,
+  isAuthenticated,
+  twoFactorChallenge
+}) => {
   const [formData, setFormData] = useState({
     email: '',
-    password: ''
+    password: '',
+    code: ''
   });
 
-  const { email, password } = formData;
+  const { email, password, code } = formData;
+  // sign in with an emailed link instead of the password
+  const [useLink, toggleUseLink] = useState(false);
 
   const onChange = e =>
     setFormData({ ...formData, [e.target.name]: e.target.value });
 
   const onSubmit = async e => {
     e.preventDefault();
-    login({ email, password });
+    if (useLink) {
+      sendMagicLink(email);
+    } else {
+      login({ email, password });
+    }
+  };
+
+  const onSubmitCode = async e => {
+    e.preventDefault();
+    verifyTwoFactor(code);
   };
 
   // redirect if logged in
@@ -25,6 +44,34 @@ const Login = ({ login, isAuthenticated }) => {
     return <Redirect to='/dashboard' />;
   }
 
+  if (twoFactorChallenge) {
+    return (
+      <Fragment>
+        <section className='container'>
+          <h1 className='large text-primary'>Two-Factor Authentication</h1>
+          <p className='lead'>
+            <i className='fas fa-mobile-alt' /> Enter the code from your
+            authenticator app, or one of your recovery codes
+          </p>
+          <form className='form' onSubmit={e => onSubmitCode(e)}>
+            <div className='form-group'>
+              <input
+                type='text'
+                placeholder='Authentication Code'
+                name='code'
+                autoComplete='one-time-code'
+                value={code}
+                onChange={e => onChange(e)}
+                required
+              />
+            </div>
+            <input type='submit' className='btn btn-primary' value='Verify' />
+          </form>
+        </section>
+      </Fragment>
+    );
+  }
+
   return (
     <Fragment>
       <section className='container'>
@@ -42,21 +89,37 @@ const Login = ({ login, isAuthenticated }) => {
               onChange={e => onChange(e)}
             />
           </div>
-          <div className='form-group'>
-            <input
-              type='password'
-              placeholder='Password'
-              name='password'
-              minLength='6'
-              value={password}
-              onChange={e => onChange(e)}
-            />
-          </div>
-          <input type='submit' className='btn btn-primary' value='Login' />
+          {!useLink && (
+            <div className='form-group'>
+              <input
+                type='password'
+                placeholder='Password'
+                name='password'
+                value={password}
+                onChange={e => onChange(e)}
+              />
+            </div>
+          )}
+          <input
+            type='submit'
+            className='btn btn-primary'
+            value={useLink ? 'Send Link' : 'Login'}
+          />
+          <button
+            type='button'
+            className='btn btn-light'
+            onClick={() => toggleUseLink(!useLink)}
+          >
+            {useLink ? 'Use my password' : 'Email me a sign-in link'}
+          </button>
         </form>
+        <GithubButton />
         <p className='my-1'>
           Don't have an account? <Link to='/register'>Sign Up</Link>
         </p>
+        <p className='my-1'>
+          <Link to='/forgot-password'>Forgot your password?</Link>
+        </p>
       </section>
     </Fragment>
   );
@@ -64,14 +127,18 @@ const Login = ({ login, isAuthenticated }) => {
 
 Login.propTypes = {
   login: PropTypes.func.isRequired,
-  isAuthenticated: PropTypes.bool
+  verifyTwoFactor: PropTypes.func.isRequired,
+  sendMagicLink: PropTypes.func.isRequired,
+  isAuthenticated: PropTypes.bool,
+  twoFactorChallenge: PropTypes.string
 };
 
 const mapStateToProps = state => ({
-  isAuthenticated: state.auth.isAuthenticated
+  isAuthenticated: state.auth.isAuthenticated,
+  twoFactorChallenge: state.auth.twoFactorChallenge
 });
 
 export default connect(
   mapStateToProps,
-  { login }
+  { login, verifyTwoFactor, sendMagicLink }
 )(Login);
@@ -0,0 +1,21 @@
+import { useEffect } from 'react';
+import { connect } from 'react-redux';
+import PropTypes from 'prop-types';
+import { loginWithMagicLink } from '../../actions/auth';
+
+const MagicLink = ({ loginWithMagicLink, match, history }) => {
+  useEffect(() => {
+    loginWithMagicLink(match.params.token, history);
+  }, [loginWithMagicLink, match.params.token, history]);
+
+  return null;
+};
+
+MagicLink.propTypes = {
+  loginWithMagicLink: PropTypes.func.isRequired
+};
+
+export default connect(
+  null,
+  { loginWithMagicLink }
+)(MagicLink);
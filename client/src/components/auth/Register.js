@@ -1,19 +1,36 @@
-import React, { Fragment, useState } from 'react';
+import React, { Fragment, useState, useEffect } from 'react';
 import { connect } from 'react-redux';
 import { Link, Redirect } from 'react-router-dom';
 import { setAlert } from '../../actions/alert';
-import { register } from '../../actions/auth';
+import { register, getRegistration } from '../../actions/auth';
 import PropTypes from 'prop-types';
+import GithubButton from './GithubButton';
+
+const Register = ({
+  setAlert,
+  register,
+  getRegistration,
+  isAuthenticated,
+  inviteOnly,
+  location
+}) => {
+  // invite links look like /register?invite=<code>
+  const invite = new URLSearchParams(location.search).get('invite');
 
-const Register = ({ setAlert, register, isAuthenticated }) => {
   const [formData, setFormData] = useState({
     name: '',
     email: '',
     password: '',
-    password2: ''
+    password2: '',
+    inviteCode: invite || ''
   });
 
-  const { name, email, password, password2 } = formData;
+  const { name, email, password, password2, inviteCode } = formData;
+  const [passwordErrors, setPasswordErrors] = useState([]);
+
+  useEffect(() => {
+    getRegistration();
+  }, [getRegistration]);
 
   const onChange = e =>
     setFormData({ ...formData, [e.target.name]: e.target.value });
@@ -23,7 +40,9 @@ const Register = ({ setAlert, register, isAuthenticated }) => {
     if (password !== password2) {
       setAlert('Passwords do not match', 'danger');
     } else {
-      register({ name, email, password });
+      setPasswordErrors(
+        await register({ name, email, password, inviteCode })
+      );
     }
   };
 
@@ -39,6 +58,20 @@ const Register = ({ setAlert, register, isAuthenticated }) => {
           <i className='fas fa-user' /> Create Your Account
         </p>
         <form className='form' onSubmit={e => onSubmit(e)}>
+          {(inviteOnly || invite) && (
+            <div className='form-group'>
+              <input
+                type='text'
+                placeholder='Invite Code'
+                name='inviteCode'
+                value={inviteCode}
+                onChange={e => onChange(e)}
+              />
+              <small className='form-text'>
+                Registration is by invitation, ask a member for an invite
+              </small>
+            </div>
+          )}
           <div className='form-group'>
             <input
               type='text'
@@ -69,6 +102,15 @@ const Register = ({ setAlert, register, isAuthenticated }) => {
               value={password}
               onChange={e => onChange(e)}
             />
+            {passwordErrors.length > 0 && (
+              <ul className='form-text'>
+                {passwordErrors.map(error => (
+                  <li key={error.rule} className='text-danger'>
+                    <i className='fas fa-times' /> {error.msg}
+                  </li>
+                ))}
+              </ul>
+            )}
           </div>
           <div className='form-group'>
             <input
@@ -81,6 +123,7 @@ const Register = ({ setAlert, register, isAuthenticated }) => {
           </div>
           <input type='submit' className='btn btn-primary' value='Register' />
         </form>
+        <GithubButton />
         <p className='my-1'>
           Already have an account? <Link to='/login'>Sign In</Link>
         </p>
@@ -92,14 +135,17 @@ const Register = ({ setAlert, register, isAuthenticated }) => {
 Register.propTypes = {
   setAlert: PropTypes.func.isRequired,
   register: PropTypes.func.isRequired,
-  isAuthenticated: PropTypes.bool
+  getRegistration: PropTypes.func.isRequired,
+  isAuthenticated: PropTypes.bool,
+  inviteOnly: PropTypes.bool.isRequired
 };
 
 const mapStateToProps = state => ({
-  isAuthenticated: state.auth.isAuthenticated
+  isAuthenticated: state.auth.isAuthenticated,
+  inviteOnly: state.auth.inviteOnly
 });
 
 export default connect(
   mapStateToProps,
-  { setAlert, register }
+  { setAlert, register, getRegistration }
 )(Register);
@@ -0,0 +1,69 @@
+import React, { Fragment, useState } from 'react';
+import { withRouter } from 'react-router-dom';
+import { connect } from 'react-redux';
+import PropTypes from 'prop-types';
+import { setAlert } from '../../actions/alert';
+import { resetPassword } from '../../actions/auth';
+
+const ResetPassword = ({ setAlert, resetPassword, match, history }) => {
+  const [formData, setFormData] = useState({
+    password: '',
+    password2: ''
+  });
+
+  const { password, password2 } = formData;
+
+  const onChange = e =>
+    setFormData({ ...formData, [e.target.name]: e.target.value });
+
+  const onSubmit = async e => {
+    e.preventDefault();
+    if (password !== password2) {
+      setAlert('Passwords do not match', 'danger');
+    } else {
+      resetPassword(match.params.token, password, history);
+    }
+  };
+
+  return (
+    <Fragment>
+      <section className='container'>
+        <h1 className='large text-primary'>Reset Password</h1>
+        <p className='lead'>
+          <i className='fas fa-key' /> Choose a new password
+        </p>
+        <form className='form' onSubmit={e => onSubmit(e)}>
+          <div className='form-group'>
+            <input
+              type='password'
+              placeholder='New Password'
+              name='password'
+              value={password}
+              onChange={e => onChange(e)}
+            />
+          </div>
+          <div className='form-group'>
+            <input
+              type='password'
+              placeholder='Confirm New Password'
+              name='password2'
+              value={password2}
+              onChange={e => onChange(e)}
+            />
+          </div>
+          <input type='submit' className='btn btn-primary' value='Reset' />
+        </form>
+      </section>
+    </Fragment>
+  );
+};
+
+ResetPassword.propTypes = {
+  setAlert: PropTypes.func.isRequired,
+  resetPassword: PropTypes.func.isRequired
+};
+
+export default connect(
+  null,
+  { setAlert, resetPassword }
+)(withRouter(ResetPassword));
@@ -0,0 +1,45 @@
+import React, { Fragment, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { connect } from 'react-redux';
+import PropTypes from 'prop-types';
+import { verifyEmail } from '../../actions/auth';
+
+const VerifyEmail = ({ verifyEmail, isAuthenticated, match }) => {
+  useEffect(() => {
+    verifyEmail(match.params.token);
+  }, [verifyEmail, match.params.token]);
+
+  return (
+    <Fragment>
+      <section className='container'>
+        <h1 className='large text-primary'>Email Verification</h1>
+        <p className='lead'>
+          <i className='fas fa-envelope' /> Confirming your email address
+        </p>
+        {isAuthenticated ? (
+          <Link to='/dashboard' className='btn btn-primary'>
+            Go To Dashboard
+          </Link>
+        ) : (
+          <Link to='/login' className='btn btn-primary'>
+            Sign In
+          </Link>
+        )}
+      </section>
+    </Fragment>
+  );
+};
+
+VerifyEmail.propTypes = {
+  verifyEmail: PropTypes.func.isRequired,
+  isAuthenticated: PropTypes.bool
+};
+
+const mapStateToProps = state => ({
+  isAuthenticated: state.auth.isAuthenticated
+});
+
+export default connect(
+  mapStateToProps,
+  { verifyEmail }
+)(VerifyEmail);
@@ -1,18 +1,29 @@
 import React, { useEffect, Fragment } from 'react';
 import PropTypes from 'prop-types';
+import Moment from 'react-moment';
 import { connect } from 'react-redux';
 import Spinner from '../layout/Spinner';
-import { getCurrentProfile, deleteAccount } from '../../actions/profile';
+import {
+  getCurrentProfile,
+  deleteAccount,
+  restoreAccount
+} from '../../actions/profile';
+import { resendVerification } from '../../actions/auth';
 import { Link } from 'react-router-dom';
 import DashboardActions from './DashboardActions';
 import Experience from './Experience';
 import Education from './Education';
+import Security from './Security';
+import Sessions from './Sessions';
+import Relationships from './Relationships';
 
 const Dashboard = ({
   getCurrentProfile,
   auth: { user },
   profile: { profile, loading },
-  deleteAccount
+  deleteAccount,
+  restoreAccount,
+  resendVerification
 }) => {
   useEffect(() => {
     getCurrentProfile();
@@ -26,11 +37,41 @@ const Dashboard = ({
       <p className='lead'>
         <i className='fas fa-user'>Welcome {user && user.name}</i>
       </p>
+      {user && user.deleteAfter && (
+        <div className='alert alert-danger'>
+          Your account is scheduled for deletion on{' '}
+          <Moment format='YYYY/MM/DD'>{user.deleteAfter}</Moment>.{' '}
+          <button className='btn btn-light' onClick={() => restoreAccount()}>
+            Restore My Account
+          </button>
+        </div>
+      )}
+      {user && !user.verified && (
+        <div className='alert alert-light'>
+          Please confirm your email address before posting or commenting.{' '}
+          <button
+            className='btn btn-primary'
+            onClick={() => resendVerification()}
+          >
+            Resend Email
+          </button>
+        </div>
+      )}
       {profile !== null ? (
         <Fragment>
           <DashboardActions />
-          <Experience experience={profile.experience} />
-          <Education education={profile.education} />
+          <Experience
+            experience={profile.experience}
+            manualOrder={
+              !!(profile.manualOrder && profile.manualOrder.experience)
+            }
+          />
+          <Education
+            education={profile.education}
+            manualOrder={
+              !!(profile.manualOrder && profile.manualOrder.education)
+            }
+          />
 
           <div className='my-2'>
             <button className='btn btn-danger' onClick={() => deleteAccount()}>
@@ -49,6 +90,9 @@ const Dashboard = ({
           </Link>
         </Fragment>
       )}
+      <Security />
+      <Sessions />
+      <Relationships />
     </Fragment>
   );
 };
@@ -57,7 +101,9 @@ Dashboard.propTypes = {
   getCurrentProfile: PropTypes.func.isRequired,
   auth: PropTypes.object.isRequired,
   profile: PropTypes.object.isRequired,
-  deleteAccount: PropTypes.func.isRequired
+  deleteAccount: PropTypes.func.isRequired,
+  restoreAccount: PropTypes.func.isRequired,
+  resendVerification: PropTypes.func.isRequired
 };
 
 const mapStateToProps = state => ({
@@ -67,5 +113,5 @@ const mapStateToProps = state => ({
 
 export default connect(
   mapStateToProps,
-  { getCurrentProfile, deleteAccount }
+  { getCurrentProfile, deleteAccount, restoreAccount, resendVerification }
 )(Dashboard);
@@ -1,20 +1,39 @@
 import React from 'react';
+import PropTypes from 'prop-types';
 import { Link } from 'react-router-dom';
+import { connect } from 'react-redux';
+import { exportData } from '../../actions/profile';
 
-const DashboardActions = () => {
+const DashboardActions = ({ exportData }) => {
   return (
     <div className='dash-buttons'>
       <Link to='/edit-profile' className='btn btn-light'>
         <i className='fas fa-user-circle text-primary' /> Edit Profile
       </Link>
+      <Link to='/profile-privacy' className='btn btn-light'>
+        <i className='fas fa-user-shield text-primary' /> Privacy
+      </Link>
       <Link to='add-experience' className='btn btn-light'>
         <i className='fab fa-black-tie text-primary' /> Add Experience
       </Link>
       <Link to='/add-education' className='btn btn-light'>
         <i className='fas fa-graduation-cap text-primary' /> Add Education
       </Link>
+      <Link to='/account-settings' className='btn btn-light'>
+        <i className='fas fa-user-cog text-primary' /> Account Settings
+      </Link>
+      <button className='btn btn-light' onClick={() => exportData('zip')}>
+        <i className='fas fa-download text-primary' /> Download My Data
+      </button>
     </div>
   );
 };
 
-export default DashboardActions;
+DashboardActions.propTypes = {
+  exportData: PropTypes.func.isRequired
+};
+
+export default connect(
+  null,
+  { exportData }
+)(DashboardActions);
@@ -1,12 +1,50 @@
-import React, { Fragment } from 'react';
+import React, { Fragment, useState } from 'react';
 import PropTypes from 'prop-types';
 import Moment from 'react-moment';
+import { Link } from 'react-router-dom';
 import { connect } from 'react-redux';
-import { deleteEducation } from '../../actions/profile';
+import {
+  deleteEducation,
+  reorderEntries,
+  resetOrder
+} from '../../actions/profile';
 
-const Education = ({ education, deleteEducation }) => {
-  const educations = education.map(edu => (
-    <tr key={edu._id}>
+const Education = ({
+  education,
+  manualOrder,
+  deleteEducation,
+  reorderEntries,
+  resetOrder
+}) => {
+  // index of the row being dragged
+  const [dragged, setDragged] = useState(null);
+
+  const onDrop = target => {
+    if (dragged === null || dragged === target) return;
+    const order = education.map(item => item._id);
+    const [moved] = order.splice(dragged, 1);
+    order.splice(target, 0, moved);
+    setDragged(null);
+    reorderEntries('education', order);
+  };
+
+  const educations = education.map((edu, index) => (
+    <tr
+      key={edu._id}
+      draggable
+      className={dragged === index ? 'dragging' : ''}
+      onDragStart={e => {
+        // Firefox only starts a drag when there is data to carry
+        e.dataTransfer.setData('text/plain', edu._id);
+        setDragged(index);
+      }}
+      onDragOver={e => e.preventDefault()}
+      onDrop={e => {
+        e.preventDefault();
+        onDrop(index);
+      }}
+      onDragEnd={() => setDragged(null)}
+    >
       <td>{edu.school}</td>
       <td className='hide-sm'>{edu.degree}</td>
       <td className='hide-sm'>{edu.fieldofstudy}</td>
@@ -19,6 +57,9 @@ const Education = ({ education, deleteEducation }) => {
         )}
       </td>
       <td>
+        <Link to={`/edit-education/${edu._id}`} className='btn btn-light'>
+          Edit
+        </Link>
         <button
           onClick={() => deleteEducation(edu._id)}
           className='btn btn-danger'
@@ -32,6 +73,21 @@ const Education = ({ education, deleteEducation }) => {
   return (
     <Fragment>
       <h2 className='my-2'>Education Credentials</h2>
+      <p>
+        <small>
+          Drag rows to reorder.{' '}
+          {manualOrder ? (
+            <button
+              onClick={() => resetOrder('education')}
+              className='btn btn-light'
+            >
+              Sort by date
+            </button>
+          ) : (
+            'Sorted by date, current first.'
+          )}
+        </small>
+      </p>
       <table className='table'>
         <thead>
           <tr>
@@ -50,10 +106,13 @@ const Education = ({ education, deleteEducation }) => {
 
 Education.propTypes = {
   education: PropTypes.array.isRequired,
-  deleteEducation: PropTypes.func.isRequired
+  manualOrder: PropTypes.bool.isRequired,
+  deleteEducation: PropTypes.func.isRequired,
+  reorderEntries: PropTypes.func.isRequired,
+  resetOrder: PropTypes.func.isRequired
 };
 
 export default connect(
   null,
-  { deleteEducation }
+  { deleteEducation, reorderEntries, resetOrder }
 )(Education);
@@ -1,12 +1,50 @@
-import React, { Fragment } from 'react';
+import React, { Fragment, useState } from 'react';
 import PropTypes from 'prop-types';
 import Moment from 'react-moment';
+import { Link } from 'react-router-dom';
 import { connect } from 'react-redux';
-import { deleteExperience } from '../../actions/profile';
+import {
+  deleteExperience,
+  reorderEntries,
+  resetOrder
+} from '../../actions/profile';
 
-const Experience = ({ experience, deleteExperience }) => {
-  const experiences = experience.map(exp => (
-    <tr key={exp._id}>
+const Experience = ({
+  experience,
+  manualOrder,
+  deleteExperience,
+  reorderEntries,
+  resetOrder
+}) => {
+  // index of the row being dragged
+  const [dragged, setDragged] = useState(null);
+
+  const onDrop = target => {
+    if (dragged === null || dragged === target) return;
+    const order = experience.map(item => item._id);
+    const [moved] = order.splice(dragged, 1);
+    order.splice(target, 0, moved);
+    setDragged(null);
+    reorderEntries('experience', order);
+  };
+
+  const experiences = experience.map((exp, index) => (
+    <tr
+      key={exp._id}
+      draggable
+      className={dragged === index ? 'dragging' : ''}
+      onDragStart={e => {
+        // Firefox only starts a drag when there is data to carry
+        e.dataTransfer.setData('text/plain', exp._id);
+        setDragged(index);
+      }}
+      onDragOver={e => e.preventDefault()}
+      onDrop={e => {
+        e.preventDefault();
+        onDrop(index);
+      }}
+      onDragEnd={() => setDragged(null)}
+    >
       <td>{exp.company}</td>
       <td className='hide-sm'>{exp.title}</td>
       <td>
@@ -18,6 +56,9 @@ const Experience = ({ experience, deleteExperience }) => {
         )}
       </td>
       <td>
+        <Link to={`/edit-experience/${exp._id}`} className='btn btn-light'>
+          Edit
+        </Link>
         <button
           onClick={() => deleteExperience(exp._id)}
           className='btn btn-danger'
@@ -31,6 +72,21 @@ const Experience = ({ experience, deleteExperience }) => {
   return (
     <Fragment>
       <h2 className='my-2'>Experience Credentials</h2>
+      <p>
+        <small>
+          Drag rows to reorder.{' '}
+          {manualOrder ? (
+            <button
+              onClick={() => resetOrder('experience')}
+              className='btn btn-light'
+            >
+              Sort by date
+            </button>
+          ) : (
+            'Sorted by date, current first.'
+          )}
+        </small>
+      </p>
       <table className='table'>
         <thead>
           <tr>
@@ -48,10 +104,13 @@ const Experience = ({ experience, deleteExperience }) => {
 
 Experience.propTypes = {
   experience: PropTypes.array.isRequired,
-  deleteExperience: PropTypes.func.isRequired
+  manualOrder: PropTypes.bool.isRequired,
+  deleteExperience: PropTypes.func.isRequired,
+  reorderEntries: PropTypes.func.isRequired,
+  resetOrder: PropTypes.func.isRequired
 };
 
 export default connect(
   null,
-  { deleteExperience }
+  { deleteExperience, reorderEntries, resetOrder }
 )(Experience);
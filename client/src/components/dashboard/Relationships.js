@@ -0,0 +1,84 @@
+import React, { Fragment, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import { Link } from 'react-router-dom';
+import { connect } from 'react-redux';
+import {
+  getRelationships,
+  unblockUser,
+  unmuteUser
+} from '../../actions/relationship';
+
+const UserTable = ({ title, empty, users, action, onRemove }) => (
+  <Fragment>
+    <h2 className='my-2'>{title}</h2>
+    {users.length > 0 ? (
+      <table className='table'>
+        <tbody>
+          {users.map(user => (
+            <tr key={user._id}>
+              <td>
+                <Link to={`/profile/${user._id}`}>{user.name}</Link>
+              </td>
+              <td>
+                <button
+                  onClick={() => onRemove(user._id)}
+                  className='btn btn-light'
+                >
+                  {action}
+                </button>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    ) : (
+      <p>{empty}</p>
+    )}
+  </Fragment>
+);
+
+const Relationships = ({
+  relationship: { blocked, muted },
+  getRelationships,
+  unblockUser,
+  unmuteUser
+}) => {
+  useEffect(() => {
+    getRelationships();
+  }, [getRelationships]);
+
+  return (
+    <Fragment>
+      <UserTable
+        title='Blocked Developers'
+        empty='Blocked developers cannot comment on or like your posts, or see your profile'
+        users={blocked}
+        action='Unblock'
+        onRemove={unblockUser}
+      />
+      <UserTable
+        title='Muted Developers'
+        empty='Posts and comments from muted developers are hidden from your feed'
+        users={muted}
+        action='Unmute'
+        onRemove={unmuteUser}
+      />
+    </Fragment>
+  );
+};
+
+Relationships.propTypes = {
+  relationship: PropTypes.object.isRequired,
+  getRelationships: PropTypes.func.isRequired,
+  unblockUser: PropTypes.func.isRequired,
+  unmuteUser: PropTypes.func.isRequired
+};
+
+const mapStateToProps = state => ({
+  relationship: state.relationship
+});
+
+export default connect(
+  mapStateToProps,
+  { getRelationships, unblockUser, unmuteUser }
+)(Relationships);
@@ -0,0 +1,147 @@
+import React, { Fragment, useState } from 'react';
+import PropTypes from 'prop-types';
+import { connect } from 'react-redux';
+import {
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  linkGithub
+} from '../../actions/auth';
+
+const Security = ({
+  auth: { user, twoFactorSetup, recoveryCodes },
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  linkGithub
+}) => {
+  const [formData, setFormData] = useState({
+    password: '',
+    code: ''
+  });
+
+  const { password, code } = formData;
+
+  const onChange = e =>
+    setFormData({ ...formData, [e.target.name]: e.target.value });
+
+  const onSubmit = e => {
+    e.preventDefault();
+    if (user.twoFactorEnabled) {
+      disableTwoFactor(password, code);
+    } else {
+      enableTwoFactor(code);
+    }
+    setFormData({ password: '', code: '' });
+  };
+
+  return (
+    <Fragment>
+      <h2 className='my-2'>Security</h2>
+      <p>
+        <i className='fas fa-shield-alt' /> Two-factor authentication is{' '}
+        <strong>{user && user.twoFactorEnabled ? 'on' : 'off'}</strong>
+      </p>
+
+      <p>
+        <i className='fab fa-github' />{' '}
+        {user && user.github && user.github.username ? (
+          <Fragment>
+            Linked to GitHub as <strong>{user.github.username}</strong>
+          </Fragment>
+        ) : (
+          <Fragment>
+            GitHub is not linked{' '}
+            <button className='btn btn-light' onClick={() => linkGithub()}>
+              Link GitHub Account
+            </button>
+          </Fragment>
+        )}
+      </p>
+
+      {recoveryCodes && (
+        <div className='alert alert-light'>
+          <p>
+            Save these recovery codes somewhere safe. Each one can be used
+            once if you lose your authenticator, and they will not be shown
+            again.
+          </p>
+          <ul className='my-1'>
+            {recoveryCodes.map(recoveryCode => (
+              <li key={recoveryCode}>
+                <code>{recoveryCode}</code>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {user && !user.twoFactorEnabled && !twoFactorSetup && (
+        <button className='btn btn-primary' onClick={() => setupTwoFactor()}>
+          Enable Two-Factor Authentication
+        </button>
+      )}
+
+      {user && !user.twoFactorEnabled && twoFactorSetup && (
+        <div className='my-1'>
+          <p>
+            Scan this code with your authenticator app, or enter the key{' '}
+            <code>{twoFactorSetup.secret}</code> by hand, then confirm with
+            the code it shows.
+          </p>
+          <img src={twoFactorSetup.qrCode} alt='Authenticator QR code' />
+        </div>
+      )}
+
+      {user && (user.twoFactorEnabled || twoFactorSetup) && (
+        <form className='form' onSubmit={e => onSubmit(e)}>
+          {user.twoFactorEnabled && (
+            <div className='form-group'>
+              <input
+                type='password'
+                placeholder='Current Password'
+                name='password'
+                value={password}
+                onChange={e => onChange(e)}
+                required
+              />
+            </div>
+          )}
+          <div className='form-group'>
+            <input
+              type='text'
+              placeholder='Authentication Code'
+              name='code'
+              autoComplete='one-time-code'
+              value={code}
+              onChange={e => onChange(e)}
+              required
+            />
+          </div>
+          <input
+            type='submit'
+            className={`btn ${user.twoFactorEnabled ? 'btn-danger' : 'btn-primary'}`}
+            value={user.twoFactorEnabled ? 'Disable Two-Factor' : 'Confirm'}
+          />
+        </form>
+      )}
+    </Fragment>
+  );
+};
+
+Security.propTypes = {
+  auth: PropTypes.object.isRequired,
+  setupTwoFactor: PropTypes.func.isRequired,
+  enableTwoFactor: PropTypes.func.isRequired,
+  disableTwoFactor: PropTypes.func.isRequired,
+  linkGithub: PropTypes.func.isRequired
+};
+
+const mapStateToProps = state => ({
+  auth: state.auth
+});
+
+export default connect(
+  mapStateToProps,
+  { setupTwoFactor, enableTwoFactor, disableTwoFactor, linkGithub }
+)(Security);
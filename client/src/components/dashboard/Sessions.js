@@ -0,0 +1,85 @@
+import React, { Fragment, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import Moment from 'react-moment';
+import { connect } from 'react-redux';
+import {
+  getSessions,
+  revokeSession,
+  logoutEverywhere
+} from '../../actions/auth';
+
+const Sessions = ({
+  sessions,
+  getSessions,
+  revokeSession,
+  logoutEverywhere
+}) => {
+  useEffect(() => {
+    getSessions();
+  }, [getSessions]);
+
+  const rows = sessions.map(session => (
+    <tr key={session._id}>
+      <td>
+        {session.userAgent || 'Unknown device'}
+        {session.current && (
+          <span className='badge badge-light'>This device</span>
+        )}
+      </td>
+      <td className='hide-sm'>{session.ip}</td>
+      <td className='hide-sm'>
+        <Moment format='YYYY/MM/DD HH:mm'>{session.date}</Moment>
+      </td>
+      <td>
+        <Moment fromNow>{session.lastSeen}</Moment>
+      </td>
+      <td>
+        {!session.current && (
+          <button
+            onClick={() => revokeSession(session._id)}
+            className='btn btn-danger'
+          >
+            Sign Out
+          </button>
+        )}
+      </td>
+    </tr>
+  ));
+
+  return (
+    <Fragment>
+      <h2 className='my-2'>Active Sessions</h2>
+      <table className='table'>
+        <thead>
+          <tr>
+            <th>Device</th>
+            <th className='hide-sm'>IP Address</th>
+            <th className='hide-sm'>Signed In</th>
+            <th>Last Seen</th>
+            <th />
+          </tr>
+        </thead>
+        <tbody>{rows}</tbody>
+      </table>
+      <button className='btn btn-light my-1' onClick={() => logoutEverywhere()}>
+        <i className='fas fa-sign-out-alt' /> Log Out Everywhere
+      </button>
+    </Fragment>
+  );
+};
+
+Sessions.propTypes = {
+  sessions: PropTypes.array.isRequired,
+  getSessions: PropTypes.func.isRequired,
+  revokeSession: PropTypes.func.isRequired,
+  logoutEverywhere: PropTypes.func.isRequired
+};
+
+const mapStateToProps = state => ({
+  sessions: state.auth.sessions
+});
+
+export default connect(
+  mapStateToProps,
+  { getSessions, revokeSession, logoutEverywhere }
+)(Sessions);
@@ -1,10 +1,18 @@
-import React, { Fragment } from 'react';
-import { Link } from 'react-router-dom';
+import React, { Fragment, useState } from 'react';
+import { Link, withRouter } from 'react-router-dom';
 import { connect } from 'react-redux';
 import PropTypes from 'prop-types';
 import { logout } from '../../actions/auth';
 
-const Navbar = ({ auth: { isAuthenticated, loading }, logout }) => {
+const Navbar = ({ auth: { isAuthenticated, loading }, logout, history }) => {
+  const [q, setQ] = useState('');
+
+  const onSearch = e => {
+    e.preventDefault();
+    if (q.trim()) {
+      history.push(`/search?q=${encodeURIComponent(q.trim())}`);
+    }
+  };
   const authLinks = (
     <ul>
       <li>
@@ -55,6 +63,14 @@ const Navbar = ({ auth: { isAuthenticated, loading }, logout }) => {
           <i className='fas fa-code' /> DevConnector
         </Link>
       </h1>
+      <form className='navbar-search hide-sm' onSubmit={e => onSearch(e)}>
+        <input
+          type='search'
+          placeholder='Search developers and posts'
+          value={q}
+          onChange={e => setQ(e.target.value)}
+        />
+      </form>
       {!loading && (
         <Fragment>{isAuthenticated ? authLinks : guestLinks}</Fragment>
       )}
@@ -74,4 +90,4 @@ const mapStateToProps = state => ({
 export default connect(
   mapStateToProps,
   { logout }
-)(Navbar);
+)(withRouter(Navbar));
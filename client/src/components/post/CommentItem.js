@@ -4,6 +4,7 @@ import { connect } from 'react-redux';
 import { Link } from 'react-router-dom';
 import Moment from 'react-moment';
 import { deleteComment } from '../../actions/post';
+import hasRole from '../../utils/hasRole';
 
 const CommentItem = ({
   deleteComment,
@@ -30,7 +31,7 @@ const CommentItem = ({
         <p class="post-date">
           Posted on <Moment format="DD/MM/YYYY">{date}</Moment>
         </p>
-        {!auth.loading && user === auth.user._id && (
+        {!auth.loading && (user === auth.user._id || hasRole(auth.user, 'moderator', 'admin')) && (
           <button onClick={e => deleteComment(postId, _id)} type="button" className="btn btn-danger">
             <i className="fas fa-times"></i>
           </button>
@@ -4,6 +4,7 @@ import { Link } from 'react-router-dom';
 import Moment from 'react-moment';
 import { connect } from 'react-redux';
 import { addLike, removeLike, deletePost } from '../../actions/post';
+import hasRole from '../../utils/hasRole';
 
 const PostItem = ({ deletePost, addLike, removeLike, auth, post: { _id, text, name, avatar, user, likes, comments, date }, showActions }) => {
   return (
@@ -40,7 +41,7 @@ const PostItem = ({ deletePost, addLike, removeLike, auth, post: { _id, text, na
               Discussion{" "} {comments.length > 0 &&
                 <span className='comment-count'>{comments.length}</span>}
             </Link>
-            {!auth.loading && user === auth.user._id && (
+            {!auth.loading && (user === auth.user._id || hasRole(auth.user, 'moderator', 'admin')) && (
               <button
                 onClick={e => deletePost(_id)}
                 type="button"
@@ -1,10 +1,24 @@
-import React, { Fragment, useState } from 'react';
+import React, { Fragment, useState, useEffect } from 'react';
 import PropTypes from 'prop-types';
 import { Link, withRouter } from 'react-router-dom';
 import { connect } from 'react-redux';
-import { addEducation } from '../../actions/profile';
+import {
+  addEducation,
+  updateEducation,
+  getCurrentProfile
+} from '../../actions/profile';
+
+const AddEducation = ({
+  profile: { profile },
+  addEducation,
+  updateEducation,
+  getCurrentProfile,
+  match,
+  history
+}) => {
+  // reached from /edit-education/:id to change an existing entry
+  const id = match.params.id;
 
-const AddEducation = ({ addEducation, history }) => {
   const [formData, setFormData] = useState({
     school: '',
     degree: '',
@@ -17,6 +31,27 @@ const AddEducation = ({ addEducation, history }) => {
 
   const [toDateDisabled, toggleDisabled] = useState(false);
 
+  const entry =
+    id && profile ? profile.education.find(item => item._id === id) : null;
+
+  useEffect(() => {
+    if (id) getCurrentProfile();
+  }, [id, getCurrentProfile]);
+
+  useEffect(() => {
+    if (!entry) return;
+    setFormData({
+      school: entry.school || '',
+      degree: entry.degree || '',
+      fieldofstudy: entry.fieldofstudy || '',
+      from: entry.from ? entry.from.substring(0, 10) : '',
+      to: entry.to ? entry.to.substring(0, 10) : '',
+      current: !!entry.current,
+      description: entry.description || ''
+    });
+    toggleDisabled(!!entry.current);
+  }, [entry]);
+
   const {
     school,
     degree,
@@ -32,7 +67,9 @@ const AddEducation = ({ addEducation, history }) => {
 
   return (
     <Fragment>
-      <h1 className='large text-primary'>Add Your Education</h1>
+      <h1 className='large text-primary'>
+        {id ? 'Edit Education' : 'Add Your Education'}
+      </h1>
       <p className='lead'>
         <i className='fas fa-code-branch' /> Add any school or bootcamp that you
         have attended
@@ -42,7 +79,8 @@ const AddEducation = ({ addEducation, history }) => {
         className='form'
         onSubmit={e => {
           e.preventDefault();
-          addEducation(formData, history);
+          if (id) updateEducation(id, formData, history);
+          else addEducation(formData, history);
         }}
       >
         <div className='form-group'>
@@ -128,10 +166,17 @@ const AddEducation = ({ addEducation, history }) => {
 };
 
 AddEducation.propTypes = {
-  addEducation: PropTypes.func.isRequired
+  profile: PropTypes.object.isRequired,
+  addEducation: PropTypes.func.isRequired,
+  updateEducation: PropTypes.func.isRequired,
+  getCurrentProfile: PropTypes.func.isRequired
 };
 
+const mapStateToProps = state => ({
+  profile: state.profile
+});
+
 export default connect(
-  null,
-  { addEducation }
+  mapStateToProps,
+  { addEducation, updateEducation, getCurrentProfile }
 )(withRouter(AddEducation));
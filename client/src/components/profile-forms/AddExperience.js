@@ -1,10 +1,24 @@
-import React, { Fragment, useState } from 'react';
+import React, { Fragment, useState, useEffect } from 'react';
 import PropTypes from 'prop-types';
 import { Link, withRouter } from 'react-router-dom';
 import { connect } from 'react-redux';
-import { addExperience } from '../../actions/profile';
+import {
+  addExperience,
+  updateExperience,
+  getCurrentProfile
+} from '../../actions/profile';
+
+const AddExperience = ({
+  profile: { profile },
+  addExperience,
+  updateExperience,
+  getCurrentProfile,
+  match,
+  history
+}) => {
+  // reached from /edit-experience/:id to change an existing entry
+  const id = match.params.id;
 
-const AddExperience = ({ addExperience, history }) => {
   const [formData, setFormData] = useState({
     company: '',
     title: '',
@@ -17,6 +31,27 @@ const AddExperience = ({ addExperience, history }) => {
 
   const [toDateDisabled, toggleDisabled] = useState(false);
 
+  const entry =
+    id && profile ? profile.experience.find(item => item._id === id) : null;
+
+  useEffect(() => {
+    if (id) getCurrentProfile();
+  }, [id, getCurrentProfile]);
+
+  useEffect(() => {
+    if (!entry) return;
+    setFormData({
+      company: entry.company || '',
+      title: entry.title || '',
+      location: entry.location || '',
+      from: entry.from ? entry.from.substring(0, 10) : '',
+      to: entry.to ? entry.to.substring(0, 10) : '',
+      current: !!entry.current,
+      description: entry.description || ''
+    });
+    toggleDisabled(!!entry.current);
+  }, [entry]);
+
   const { company, title, location, from, to, current, description } = formData;
 
   const onChange = e =>
@@ -24,7 +59,9 @@ const AddExperience = ({ addExperience, history }) => {
 
   return (
     <Fragment>
-      <h1 className='large text-primary'>Add An Experience</h1>
+      <h1 className='large text-primary'>
+        {id ? 'Edit Experience' : 'Add An Experience'}
+      </h1>
       <p className='lead'>
         <i className='fas fa-code-branch' /> Add any developer/programming
         positions that you have had in the past
@@ -34,7 +71,8 @@ const AddExperience = ({ addExperience, history }) => {
         className='form'
         onSubmit={e => {
           e.preventDefault();
-          addExperience(formData, history);
+          if (id) updateExperience(id, formData, history);
+          else addExperience(formData, history);
         }}
       >
         <div className='form-group'>
@@ -120,10 +158,17 @@ const AddExperience = ({ addExperience, history }) => {
 };
 
 AddExperience.propTypes = {
-  addExperience: PropTypes.func.isRequired
+  profile: PropTypes.object.isRequired,
+  addExperience: PropTypes.func.isRequired,
+  updateExperience: PropTypes.func.isRequired,
+  getCurrentProfile: PropTypes.func.isRequired
 };
 
+const mapStateToProps = state => ({
+  profile: state.profile
+});
+
 export default connect(
-  null,
-  { addExperience }
+  mapStateToProps,
+  { addExperience, updateExperience, getCurrentProfile }
 )(withRouter(AddExperience));
@@ -6,6 +6,7 @@ import { createProfile } from '../../actions/profile';
 
 const CreateProfile = ({ createProfile, history }) => {
   const [formData, setFormData] = useState({
+    handle: '',
     company: '',
     website: '',
     location: '',
@@ -23,6 +24,7 @@ const CreateProfile = ({ createProfile, history }) => {
   const [displaySocialInputs, toggleSocialInputs] = useState(false);
 
   const {
+    handle,
     company,
     website,
     location,
@@ -53,6 +55,18 @@ const CreateProfile = ({ createProfile, history }) => {
       </p>
       <small>* = required field</small>
       <form className='form' onSubmit={e => onSubmit(e)}>
+        <div className='form-group'>
+          <input
+            value={handle}
+            onChange={e => onChange(e)}
+            type='text'
+            placeholder='Handle'
+            name='handle'
+          />
+          <small className='form-text'>
+            Your profile will be at /@handle. 3-30 letters, numbers, _ or -
+          </small>
+        </div>
         <div className='form-group'>
           <select name='status' value={status} onChange={e => onChange(e)}>
             <option value='0'>* Select Professional Status</option>
@@ -11,6 +11,7 @@ const EditProfile = ({
   history
 }) => {
   const [formData, setFormData] = useState({
+    handle: '',
     company: '',
     website: '',
     location: '',
@@ -31,6 +32,7 @@ const EditProfile = ({
     getCurrentProfile();
 
     setFormData({
+      handle: loading || !profile.handle ? '' : profile.handle,
       company: loading || !profile.company ? '' : profile.company,
       website: loading || !profile.website ? '' : profile.website,
       location: loading || !profile.location ? '' : profile.location,
@@ -48,6 +50,7 @@ const EditProfile = ({
   }, [loading, getCurrentProfile]);
 
   const {
+    handle,
     company,
     website,
     location,
@@ -79,6 +82,18 @@ const EditProfile = ({
       </p>
       <small>* = required field</small>
       <form className='form' onSubmit={e => onSubmit(e)}>
+        <div className='form-group'>
+          <input
+            value={handle}
+            onChange={e => onChange(e)}
+            type='text'
+            placeholder='Handle'
+            name='handle'
+          />
+          <small className='form-text'>
+            Your profile will be at /@handle. 3-30 letters, numbers, _ or -
+          </small>
+        </div>
         <div className='form-group'>
           <select name='status' value={status} onChange={e => onChange(e)}>
             <option value='0'>* Select Professional Status</option>
@@ -0,0 +1,117 @@
+import React, { Fragment, useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import PropTypes from 'prop-types';
+import { connect } from 'react-redux';
+import { updatePrivacy, getCurrentProfile } from '../../actions/profile';
+
+const SECTIONS = [
+  { name: 'company', label: 'Company' },
+  { name: 'website', label: 'Website' },
+  { name: 'location', label: 'Location' },
+  { name: 'bio', label: 'Bio' },
+  { name: 'github', label: 'GitHub repositories' },
+  { name: 'experience', label: 'Experience' },
+  { name: 'education', label: 'Education' },
+  { name: 'social', label: 'Social network links' }
+];
+
+const LEVELS = [
+  { value: 'public', label: 'Everyone' },
+  { value: 'members', label: 'Signed-in members' },
+  // there are no connections between developers yet
+  { value: 'connections', label: 'Connections only (only me for now)' },
+  { value: 'private', label: 'Only me' }
+];
+
+const ProfilePrivacy = ({
+  profile: { profile, loading },
+  updatePrivacy,
+  getCurrentProfile
+}) => {
+  const [formData, setFormData] = useState({
+    ...SECTIONS.reduce(
+      (levels, { name }) => ({ ...levels, [name]: 'public' }),
+      {}
+    ),
+    hidden: false
+  });
+
+  useEffect(() => {
+    getCurrentProfile();
+  }, [getCurrentProfile]);
+
+  useEffect(() => {
+    if (loading || !profile || !profile.privacy) return;
+    setFormData(formData => ({ ...formData, ...profile.privacy }));
+  }, [loading, profile]);
+
+  const onChange = e =>
+    setFormData({ ...formData, [e.target.name]: e.target.value });
+
+  return (
+    <Fragment>
+      <h1 className='large text-primary'>Profile Privacy</h1>
+      <p className='lead'>
+        <i className='fas fa-user-shield' /> Choose who can see each part of
+        your profile
+      </p>
+      <small>
+        Your name, handle, status and skills are always shown. Developers can't
+        connect with each other yet, so connections-only sections are shown to
+        no one but you, just like private ones.
+      </small>
+      <form
+        className='form'
+        onSubmit={e => {
+          e.preventDefault();
+          updatePrivacy(formData);
+        }}
+      >
+        {SECTIONS.map(({ name, label }) => (
+          <div className='form-group' key={name}>
+            <h4>{label}</h4>
+            <select name={name} value={formData[name]} onChange={onChange}>
+              {LEVELS.map(level => (
+                <option key={level.value} value={level.value}>
+                  {level.label}
+                </option>
+              ))}
+            </select>
+          </div>
+        ))}
+        <div className='form-group'>
+          <p>
+            <input
+              type='checkbox'
+              name='hidden'
+              checked={formData.hidden}
+              onChange={() =>
+                setFormData({ ...formData, hidden: !formData.hidden })
+              }
+            />{' '}
+            Leave my profile out of the developer directory and search
+          </p>
+        </div>
+        <input type='submit' className='btn btn-primary my-1' />
+        <Link className='btn btn-light my-1' to='/dashboard'>
+          Go Back
+        </Link>
+      </form>
+    </Fragment>
+  );
+};
+
+ProfilePrivacy.propTypes = {
+  profile: PropTypes.object.isRequired,
+  updatePrivacy: PropTypes.func.isRequired,
+  getCurrentProfile: PropTypes.func.isRequired
+};
+
+const mapStateToProps = state => ({
+  profile: state.profile
+});
+
+export default connect(
+  mapStateToProps,
+  { updatePrivacy, getCurrentProfile }
+)(ProfilePrivacy);
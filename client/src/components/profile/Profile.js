@@ -3,7 +3,14 @@ import PropTypes from 'prop-types';
 import { Link } from 'react-router-dom';
 import { connect } from 'react-redux';
 import Spinner from '../layout/Spinner';
-import { getProfileById } from '../../actions/profile';
+import { getProfileById, getProfileByHandle } from '../../actions/profile';
+import {
+  getRelationships,
+  blockUser,
+  unblockUser,
+  muteUser,
+  unmuteUser
+} from '../../actions/relationship';
 import ProfileTop from './ProfileTop';
 import ProfileAbout from './ProfileAbout';
 import ProfileExperience from './ProfileExperience';
@@ -12,13 +19,54 @@ import ProfileGithub from './ProfileGithub';
 
 const Profile = ({
   getProfileById,
+  getProfileByHandle,
   profile: { profile, loading },
   auth,
-  match
+  relationship,
+  getRelationships,
+  blockUser,
+  unblockUser,
+  muteUser,
+  unmuteUser,
+  match,
+  history
 }) => {
+  const { id, handle } = match.params;
+
   useEffect(() => {
-    getProfileById(match.params.id);
-  }, [getProfileById, match.params.id]);
+    if (auth.isAuthenticated) {
+      getRelationships();
+    }
+  }, [getRelationships, auth.isAuthenticated]);
+
+  const listed = list =>
+    profile !== null && list.some(user => user._id === profile.user._id);
+  const blocked = listed(relationship.blocked);
+  const muted = listed(relationship.muted);
+
+  useEffect(() => {
+    if (handle) {
+      getProfileByHandle(handle);
+    } else {
+      getProfileById(id);
+    }
+  }, [getProfileById, getProfileByHandle, id, handle]);
+
+  // send renamed handles and id links to the current vanity URL, once the
+  // profile that was asked for has loaded
+  useEffect(() => {
+    if (loading || !profile || !profile.handle || profile.handle === handle) {
+      return;
+    }
+    const requested = handle
+      ? [profile.handleKey, ...profile.previousHandles].includes(
+        handle.toLowerCase()
+      )
+      : profile.user._id === id;
+    if (requested) {
+      history.replace(`/@${profile.handle}`);
+    }
+  }, [profile, loading, handle, id, history]);
 
   return (
     <Fragment>
@@ -36,12 +84,40 @@ const Profile = ({
                   Edit Profile
               </Link>
               )}
+            {auth.isAuthenticated &&
+              auth.loading === false &&
+              auth.user._id !== profile.user._id && (
+                <Fragment>
+                  <button
+                    onClick={() =>
+                      muted
+                        ? unmuteUser(profile.user._id)
+                        : muteUser(profile.user._id)
+                    }
+                    className='btn btn-light'
+                  >
+                    {muted ? 'Unmute' : 'Mute'}
+                  </button>
+                  <button
+                    onClick={() =>
+                      blocked
+                        ? unblockUser(profile.user._id)
+                        : blockUser(profile.user._id)
+                    }
+                    className='btn btn-danger'
+                  >
+                    {blocked ? 'Unblock' : 'Block'}
+                  </button>
+                </Fragment>
+              )}
             <div className="profile-grid my-1">
               <ProfileTop profile={profile} />
               <ProfileAbout profile={profile} />
               <div className="profile-exp bg-white p-2">
                 <h2 className="text-primary">Experience</h2>
-                {profile.experience.length > 0 ? (<Fragment>
+                {!profile.experience ? (
+                  <h4>Experience is not shared</h4>
+                ) : profile.experience.length > 0 ? (<Fragment>
                   {profile.experience.map(exp => (
                     <ProfileExperience key={exp._id} experience={exp} />
                   ))}
@@ -49,7 +125,9 @@ const Profile = ({
               </div>
               <div className="profile-edu bg-white p-2">
                 <h2 className="text-primary">Education</h2>
-                {profile.education.length > 0 ? (<Fragment>
+                {!profile.education ? (
+                  <h4>Education is not shared</h4>
+                ) : profile.education.length > 0 ? (<Fragment>
                   {profile.education.map(edu => (
                     <ProfileEducation key={edu._id} education={edu} />
                   ))}
@@ -68,16 +146,32 @@ const Profile = ({
 
 Profile.propTypes = {
   getProfileById: PropTypes.func.isRequired,
+  getProfileByHandle: PropTypes.func.isRequired,
   profile: PropTypes.object.isRequired,
-  auth: PropTypes.object.isRequired
+  auth: PropTypes.object.isRequired,
+  relationship: PropTypes.object.isRequired,
+  getRelationships: PropTypes.func.isRequired,
+  blockUser: PropTypes.func.isRequired,
+  unblockUser: PropTypes.func.isRequired,
+  muteUser: PropTypes.func.isRequired,
+  unmuteUser: PropTypes.func.isRequired
 };
 
 const mapStateToProps = state => ({
   profile: state.profile,
-  auth: state.auth
+  auth: state.auth,
+  relationship: state.relationship
 });
 
 export default connect(
   mapStateToProps,
-  { getProfileById }
+  {
+    getProfileById,
+    getProfileByHandle,
+    getRelationships,
+    blockUser,
+    unblockUser,
+    muteUser,
+    unmuteUser
+  }
 )(Profile);
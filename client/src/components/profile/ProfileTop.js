@@ -1,7 +1,7 @@
 import React from 'react'
 import PropTypes from 'prop-types'
 
-const ProfileTop = ({ profile: { status, company, location, website, social, user: { name, avatar } } }) => {
+const ProfileTop = ({ profile: { handle, status, company, location, website, social, user: { name, avatar } } }) => {
   return (
     <div className="profile-top bg-primary p-2">
       <img
@@ -10,6 +10,7 @@ const ProfileTop = ({ profile: { status, company, location, website, social, use
         alt="avatar"
       />
       <h1 className="large">{name}</h1>
+      {handle && <p>@{handle}</p>}
       <p className="lead">{status} {company && <span> at {company}</span>}</p>
       <p>{location && <span>{location}</span>}</p>
       <div className="icons my-1">
@@ -0,0 +1,140 @@
+import React, { useState } from 'react';
+import PropTypes from 'prop-types';
+
+const FIELDS = [
+  'q',
+  'skills',
+  'skillsMatch',
+  'location',
+  'status',
+  'company',
+  'hasGithub',
+  'sort'
+];
+
+// the search lives in the URL, so it survives reloads and can be shared
+const ProfileFilters = ({ search, onSearch }) => {
+  const params = new URLSearchParams(search);
+  const [formData, setFormData] = useState(
+    FIELDS.reduce(
+      (data, field) => ({ ...data, [field]: params.get(field) || '' }),
+      {}
+    )
+  );
+
+  const {
+    q,
+    skills,
+    skillsMatch,
+    location,
+    status,
+    company,
+    hasGithub,
+    sort
+  } = formData;
+
+  const onChange = e =>
+    setFormData({ ...formData, [e.target.name]: e.target.value });
+
+  const onSubmit = e => {
+    e.preventDefault();
+    const query = new URLSearchParams();
+    FIELDS.forEach(field => {
+      if (formData[field]) query.set(field, formData[field]);
+    });
+    onSearch(query.toString());
+  };
+
+  const onReset = () => {
+    setFormData(FIELDS.reduce((data, field) => ({ ...data, [field]: '' }), {}));
+    onSearch('');
+  };
+
+  return (
+    <form className='form profile-filters' onSubmit={e => onSubmit(e)}>
+      <div className='form-group'>
+        <input
+          type='text'
+          placeholder='Search'
+          name='q'
+          value={q}
+          onChange={e => onChange(e)}
+        />
+      </div>
+      <div className='form-group'>
+        <input
+          type='text'
+          placeholder='Skills'
+          name='skills'
+          value={skills}
+          onChange={e => onChange(e)}
+        />
+        <small className='form-text'>Comma separated (eg. react,node)</small>
+        <select
+          name='skillsMatch'
+          value={skillsMatch}
+          onChange={e => onChange(e)}
+        >
+          <option value=''>Has all of them</option>
+          <option value='any'>Has any of them</option>
+        </select>
+      </div>
+      <div className='form-group'>
+        <input
+          type='text'
+          placeholder='Location'
+          name='location'
+          value={location}
+          onChange={e => onChange(e)}
+        />
+      </div>
+      <div className='form-group'>
+        <select name='status' value={status} onChange={e => onChange(e)}>
+          <option value=''>Any Status</option>
+          <option value='Developer'>Developer</option>
+          <option value='Junior Developer'>Junior Developer</option>
+          <option value='Senior Developer'>Senior Developer</option>
+          <option value='Manager'>Manager</option>
+          <option value='Student or Learning'>Student or Learning</option>
+          <option value='Instructor'>Instructor or Teacher</option>
+          <option value='Intern'>Intern</option>
+          <option value='Other'>Other</option>
+        </select>
+      </div>
+      <div className='form-group'>
+        <input
+          type='text'
+          placeholder='Company'
+          name='company'
+          value={company}
+          onChange={e => onChange(e)}
+        />
+      </div>
+      <div className='form-group'>
+        <select name='hasGithub' value={hasGithub} onChange={e => onChange(e)}>
+          <option value=''>With or without GitHub</option>
+          <option value='true'>Has GitHub</option>
+          <option value='false'>No GitHub</option>
+        </select>
+      </div>
+      <div className='form-group'>
+        <select name='sort' value={sort} onChange={e => onChange(e)}>
+          <option value=''>Newest first</option>
+          <option value='oldest'>Oldest first</option>
+          <option value='name'>Name</option>
+        </select>
+      </div>
+      <input type='submit' className='btn btn-primary' value='Search' />
+      <button type='button' className='btn btn-light' onClick={onReset}>
+        Clear
+      </button>
+    </form>
+  );
+};
+
+ProfileFilters.propTypes = {
+  search: PropTypes.string.isRequired,
+  onSearch: PropTypes.func.isRequired
+};
+
+export default ProfileFilters;
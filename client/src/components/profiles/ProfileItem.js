@@ -4,6 +4,7 @@ import PropTypes from 'prop-types';
 
 const ProfileItem = ({ profile: {
   user: { _id, name, avatar },
+  handle,
   status,
   company,
   location,
@@ -16,7 +17,10 @@ const ProfileItem = ({ profile: {
         <h2>{name}</h2>
         <p>{status} {company && <span> at {company}</span>}</p>
         <p className="my-1">{location && <span>{location}</span>}</p>
-        <Link to={`/profile/${_id}`} className="btn btn-primary">
+        <Link
+          to={handle ? `/@${handle}` : `/profile/${_id}`}
+          className="btn btn-primary"
+        >
           View profile
         </Link>
       </div>
@@ -3,28 +3,67 @@ import PropTypes from 'prop-types';
 import { connect } from 'react-redux';
 import Spinner from '../layout/Spinner';
 import ProfileItem from './ProfileItem';
+import ProfileFilters from './ProfileFilters';
 import { getProfiles } from '../../actions/profile';
 
-const Profiles = ({ getProfiles, profile: { profiles, loading } }) => {
+const Profiles = ({
+  getProfiles,
+  profile: { profiles, pagination, loading },
+  location,
+  history
+}) => {
   useEffect(() => {
-    getProfiles();
-  }, [getProfiles]);
+    getProfiles(location.search);
+  }, [getProfiles, location.search]);
+
+  const search = query => history.push(`/profiles${query ? `?${query}` : ''}`);
+
+  const goToPage = page => {
+    const params = new URLSearchParams(location.search);
+    params.set('page', page);
+    search(params.toString());
+  };
 
   return (
     <Fragment>
-      {loading ? <Spinner /> : <Fragment>
-        <h1 className="large text-primary">Developers</h1>
-        <p className="lead">
-          <i className="fab fa-connectdevelop"></i> Browse and connect with developers
-          </p>
-        <div className="profiles">
+      <h1 className="large text-primary">Developers</h1>
+      <p className="lead">
+        <i className="fab fa-connectdevelop"></i> Browse and connect with developers
+      </p>
+      <div className="profiles-search">
+        <ProfileFilters
+          key={location.search}
+          search={location.search}
+          onSearch={search}
+        />
+        {loading ? <Spinner /> : <div className="profiles">
+          <p>{pagination.total} developer{pagination.total === 1 ? '' : 's'} found</p>
           {profiles.length > 0 ? (
             profiles.map(profile => (
               <ProfileItem key={profile._id} profile={profile} />
             ))
           ) : <h4>No profiles found...</h4>}
-        </div>
-      </Fragment>}
+          {pagination.pages > 1 && (
+            <div className="my-1">
+              <button
+                className="btn btn-light"
+                disabled={pagination.page <= 1}
+                onClick={() => goToPage(pagination.page - 1)}
+              >
+                Previous
+              </button>
+              <span> Page {pagination.page} of {pagination.pages} </span>
+              <button
+                className="btn btn-light"
+                disabled={pagination.page >= pagination.pages}
+                onClick={() => goToPage(pagination.page + 1)}
+              >
+                Next
+              </button>
+            </div>
+          )}
+        </div>}
+      </div>
     </Fragment>
   )
 }
@@ -0,0 +1,143 @@
+import React, { Fragment, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import { Link } from 'react-router-dom';
+import Moment from 'react-moment';
+import { connect } from 'react-redux';
+import Spinner from '../layout/Spinner';
+import Snippet from './Snippet';
+import { search } from '../../actions/search';
+
+const Search = ({ search, results, loading, location, history }) => {
+  useEffect(() => {
+    search(location.search);
+  }, [search, location.search]);
+
+  const params = new URLSearchParams(location.search);
+
+  // page through one kind of result
+  const goTo = (type, page) => {
+    params.set('type', type);
+    params.set('page', page);
+    history.push(`/search?${params.toString()}`);
+  };
+
+  const pager = (type, { page, pages }) =>
+    pages > 1 && (
+      <div className='my-1'>
+        <button
+          className='btn btn-light'
+          disabled={page <= 1}
+          onClick={() => goTo(type, page - 1)}
+        >
+          Previous
+        </button>
+        <span>
+          {' '}
+          Page {page} of {pages}{' '}
+        </span>
+        <button
+          className='btn btn-light'
+          disabled={page >= pages}
+          onClick={() => goTo(type, page + 1)}
+        >
+          Next
+        </button>
+      </div>
+    );
+
+  if (loading) {
+    return <Spinner />;
+  }
+
+  return (
+    <Fragment>
+      <h1 className='large text-primary'>Search</h1>
+      <p className='lead'>
+        <i className='fas fa-search' /> Results for "{params.get('q')}"
+      </p>
+      {!results ? (
+        <h4>Please enter something to search for</h4>
+      ) : (
+        <Fragment>
+          {results.profiles && (
+            <Fragment>
+              <h2 className='my-2'>Developers ({results.profiles.total})</h2>
+              {results.profiles.results.map(profile => (
+                <div key={profile._id} className='post bg-white p-1 my-1'>
+                  <div>
+                    <Link
+                      to={
+                        profile.handle
+                          ? `/@${profile.handle}`
+                          : `/profile/${profile.user._id}`
+                      }
+                    >
+                      <img
+                        className='round-img'
+                        src={profile.user.avatar}
+                        alt=''
+                      />
+                      <h4>{profile.user.name}</h4>
+                    </Link>
+                  </div>
+                  <div>
+                    <p>
+                      {profile.status}{' '}
+                      {profile.company && <span> at {profile.company}</span>}
+                    </p>
+                    <Snippet snippet={profile.snippet} />
+                  </div>
+                </div>
+              ))}
+              {pager('profiles', results.profiles)}
+            </Fragment>
+          )}
+          {results.posts && (
+            <Fragment>
+              <h2 className='my-2'>Posts ({results.posts.total})</h2>
+              {results.posts.results.map(post => (
+                <div key={post._id} className='post bg-white p-1 my-1'>
+                  <div>
+                    <img className='round-img' src={post.avatar} alt='' />
+                    <h4>{post.name}</h4>
+                  </div>
+                  <div>
+                    {post.snippet && post.snippet.field === 'comment' && (
+                      <p className='post-date'>
+                        Comment by {post.snippet.name}
+                      </p>
+                    )}
+                    <Snippet snippet={post.snippet} />
+                    <p className='post-date'>
+                      Posted on <Moment format='YYYY/MM/DD'>{post.date}</Moment>
+                    </p>
+                    <Link to={`/posts/${post._id}`} className='btn btn-primary'>
+                      View Post
+                    </Link>
+                  </div>
+                </div>
+              ))}
+              {pager('posts', results.posts)}
+            </Fragment>
+          )}
+        </Fragment>
+      )}
+    </Fragment>
+  );
+};
+
+Search.propTypes = {
+  search: PropTypes.func.isRequired,
+  results: PropTypes.object,
+  loading: PropTypes.bool.isRequired
+};
+
+const mapStateToProps = state => ({
+  results: state.search.results,
+  loading: state.search.loading
+});
+
+export default connect(
+  mapStateToProps,
+  { search }
+)(Search);
@@ -0,0 +1,22 @@
+import React, { Fragment } from 'react';
+import PropTypes from 'prop-types';
+
+// matched words come back flagged, so no HTML from the server is rendered
+const Snippet = ({ snippet }) =>
+  snippet && (
+    <p className='my-1'>
+      {snippet.parts.map((part, index) =>
+        part.match ? (
+          <mark key={index}>{part.text}</mark>
+        ) : (
+          <Fragment key={index}>{part.text}</Fragment>
+        )
+      )}
+    </p>
+  );
+
+Snippet.propTypes = {
+  snippet: PropTypes.object
+};
+
+export default Snippet;
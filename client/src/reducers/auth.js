@@ -6,14 +6,36 @@ import {
   LOGIN_SUCCESS,
   LOGIN_FAIL,
   LOGOUT,
+  TOKEN_REFRESHED,
+  REGISTRATION_LOADED,
+  TWO_FACTOR_REQUIRED,
+  TWO_FACTOR_SETUP,
+  TWO_FACTOR_ENABLED,
+  TWO_FACTOR_DISABLED,
+  GET_SESSIONS,
+  SESSION_REVOKED,
   ACCOUNT_DELETED,
 } from '../actions/types';
 
 const initialState = {
   token: localStorage.getItem('token'),
+  refreshToken: localStorage.getItem('refreshToken'),
   isAuthenticated: null,
   loading: true,
-  user: null
+  user: null,
+  twoFactorChallenge: null,
+  twoFactorSetup: null,
+  recoveryCodes: null,
+  sessions: [],
+  inviteOnly: false
+};
+
+// tokens only arrive when the server is not keeping them in cookies
+const storeTokens = ({ token, refreshToken }) => {
+  if (token) {
+    localStorage.setItem('token', token);
+    localStorage.setItem('refreshToken', refreshToken);
+  }
 };
 
 export default function (state = initialState, action) {
@@ -26,12 +48,57 @@ export default function (state = initialState, action) {
         loading: false,
         user: payload
       };
+    case TOKEN_REFRESHED:
+      storeTokens(payload);
+      return {
+        ...state,
+        ...payload
+      };
+    case REGISTRATION_LOADED:
+      return {
+        ...state,
+        inviteOnly: payload.inviteOnly
+      };
+    case TWO_FACTOR_REQUIRED:
+      return {
+        ...state,
+        twoFactorChallenge: payload,
+        loading: false
+      };
+    case TWO_FACTOR_SETUP:
+      return {
+        ...state,
+        twoFactorSetup: payload,
+        recoveryCodes: null
+      };
+    case TWO_FACTOR_ENABLED:
+      return {
+        ...state,
+        twoFactorSetup: null,
+        recoveryCodes: payload
+      };
+    case TWO_FACTOR_DISABLED:
+      return {
+        ...state,
+        recoveryCodes: null
+      };
+    case GET_SESSIONS:
+      return {
+        ...state,
+        sessions: payload
+      };
+    case SESSION_REVOKED:
+      return {
+        ...state,
+        sessions: state.sessions.filter(session => session._id !== payload)
+      };
     case REGISTER_SUCCESS:
     case LOGIN_SUCCESS:
-      localStorage.setItem('token', payload.token);
+      storeTokens(payload);
       return {
         ...state,
         ...payload,
+        twoFactorChallenge: null,
         isAuthenticated: true,
         loading: false
       };
@@ -41,9 +108,16 @@ export default function (state = initialState, action) {
     case LOGOUT:
     case ACCOUNT_DELETED:
       localStorage.removeItem('token');
+      localStorage.removeItem('refreshToken');
       return {
         ...state,
         ...payload,
+        token: null,
+        refreshToken: null,
+        twoFactorChallenge: null,
+        twoFactorSetup: null,
+        recoveryCodes: null,
+        sessions: [],
         isAuthenticated: false,
         loading: false
       };
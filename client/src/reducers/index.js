@@ -3,10 +3,16 @@ import alert from './alert';
 import auth from './auth';
 import profile from './profile';
 import post from './post';
+import token from './token';
+import relationship from './relationship';
+import search from './search';
 
 export default combineReducers({
   alert,
   auth,
   profile,
   post,
+  token,
+  relationship,
+  search,
 });
@@ -10,6 +10,8 @@ import {
 const initialState = {
   profile: null,
   profiles: [],
+  // totals for the last profile search
+  pagination: { total: 0, page: 1, pages: 0 },
   repos: [],
   loading: true,
   error: {},
@@ -29,7 +31,12 @@ export default function (state = initialState, action) {
     case GET_PROFILES:
       return {
         ...state,
-        profiles: payload,
+        profiles: payload.profiles,
+        pagination: {
+          total: payload.total,
+          page: payload.page,
+          pages: payload.pages
+        },
         loading: false,
       };
     case PROFILE_ERROR:
@@ -0,0 +1,36 @@
+import {
+  GET_RELATIONSHIPS,
+  RELATIONSHIP_ERROR,
+  LOGOUT,
+} from '../actions/types';
+
+const initialState = {
+  blocked: [],
+  muted: [],
+  loading: true,
+  error: {},
+};
+
+export default function (state = initialState, action) {
+  const { type, payload } = action;
+
+  switch (type) {
+    case GET_RELATIONSHIPS:
+      return {
+        ...state,
+        blocked: payload.blocked,
+        muted: payload.muted,
+        loading: false,
+      };
+    case RELATIONSHIP_ERROR:
+      return {
+        ...state,
+        error: payload,
+        loading: false,
+      };
+    case LOGOUT:
+      return initialState;
+    default:
+      return state;
+  }
+}
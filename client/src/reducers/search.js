@@ -0,0 +1,29 @@
+import { GET_SEARCH_RESULTS, SEARCH_ERROR } from '../actions/types';
+
+const initialState = {
+  results: null,
+  loading: true,
+  error: {},
+};
+
+export default function (state = initialState, action) {
+  const { type, payload } = action;
+
+  switch (type) {
+    case GET_SEARCH_RESULTS:
+      return {
+        ...state,
+        results: payload,
+        loading: false,
+      };
+    case SEARCH_ERROR:
+      return {
+        ...state,
+        results: null,
+        error: payload,
+        loading: false,
+      };
+    default:
+      return state;
+  }
+}
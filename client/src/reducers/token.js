@@ -0,0 +1,51 @@
+import {
+  GET_TOKENS,
+  ADD_TOKEN,
+  DELETE_TOKEN,
+  TOKEN_ERROR,
+  LOGOUT,
+} from '../actions/types';
+
+const initialState = {
+  tokens: [],
+  // plain text of the token just created, the server never returns it again
+  created: null,
+  loading: true,
+  error: {},
+};
+
+export default function (state = initialState, action) {
+  const { type, payload } = action;
+
+  switch (type) {
+    case GET_TOKENS:
+      return {
+        ...state,
+        tokens: payload,
+        loading: false,
+      };
+    case ADD_TOKEN:
+      return {
+        ...state,
+        tokens: [payload, ...state.tokens],
+        created: payload.token,
+        loading: false,
+      };
+    case DELETE_TOKEN:
+      return {
+        ...state,
+        tokens: state.tokens.filter(token => token._id !== payload),
+        loading: false,
+      };
+    case TOKEN_ERROR:
+      return {
+        ...state,
+        error: payload,
+        loading: false,
+      };
+    case LOGOUT:
+      return initialState;
+    default:
+      return state;
+  }
+}
@@ -0,0 +1,4 @@
+const hasRole = (user, ...roles) =>
+  !!user && (user.roles || []).some(role => roles.includes(role));
+
+export default hasRole;
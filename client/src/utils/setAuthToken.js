@@ -8,4 +8,50 @@ const setAuthToken = token => {
   }
 };
 
+// when the server keeps the tokens in HttpOnly cookies the client never sees
+// them, only the readable CSRF cookie that is set alongside
+export const hasCookieSession = () =>
+  document.cookie.split('; ').some(cookie => cookie.startsWith('XSRF-TOKEN='));
+
+// retry requests rejected with 401 once, after refreshing the access token
+let refreshing = null;
+
+export const setupTokenRefresh = refresh => {
+  axios.interceptors.response.use(
+    response => response,
+    async err => {
+      const { config, response } = err;
+
+      if (
+        !response ||
+        response.status !== 401 ||
+        config._retry ||
+        config.url.startsWith('/api/auth/refresh') ||
+        !(localStorage.refreshToken || hasCookieSession())
+      ) {
+        return Promise.reject(err);
+      }
+      config._retry = true;
+
+      // share one refresh between all requests that failed at the same time
+      if (!refreshing) {
+        refreshing = refresh().then(refreshed => {
+          refreshing = null;
+          return refreshed;
+        });
+      }
+      if (!(await refreshing)) {
+        return Promise.reject(err);
+      }
+
+      // cookie sessions have no header to replace
+      const token = axios.defaults.headers.common['x-auth-token'];
+      if (token) {
+        config.headers['x-auth-token'] = token;
+      }
+      return axios(config);
+    }
+  );
+};
+
 export default setAuthToken;
@@ -1,25 +1,196 @@
 const jwt = require('jsonwebtoken');
 const config = require('../config/config');
+const AccessToken = require('../models/AccessToken');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const { hashToken } = require('../utils/tokens');
+const { ACCESS_COOKIE, validCsrf } = require('../utils/authCookies');
 
-module.exports = (req, res, next) => {
-  // get token from header
-  const token = req.header('x-auth-token');
+// refresh a session's last seen time at most this often
+const LAST_SEEN_INTERVAL = 60 * 1000;
+
+// what a personal access token can be allowed to do
+const SCOPES = [
+  'user:read',
+  'profile:read',
+  'profile:write',
+  'posts:read',
+  'posts:write',
+  // act with the owner's moderator or admin role, without it a token only
+  // has what any user has
+  'admin'
+];
+
+const TOKEN_PREFIX = 'dcp_';
+
+// requests that only read, allowed while an account waits to be deleted
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+const denied = (res, msg = 'Authorization denied!') =>
+  res.status(401).json({
+    msg
+  });
+
+// an account waiting to be deleted can still sign in, but only to restore it
+const deleting = (req, user, options) =>
+  !options.allowDeleting && !READ_METHODS.includes(req.method) &&
+  User.exists({
+    _id: user,
+    deleteAfter: {
+      $ne: null
+    }
+  });
+
+const pendingDeletion = res =>
+  res.status(403).json({
+    msg: 'Your account is scheduled for deletion, restore it first'
+  });
+
+// personal access tokens are only accepted by routes that name a scope
+const personalToken = async (token, scope, options, req, res, next) => {
+  const accessToken = await AccessToken.findOne({
+    token: hashToken(token)
+  });
+  if (!accessToken || (accessToken.expires && accessToken.expires < Date.now())) {
+    return denied(res);
+  }
+  if (!scope || !accessToken.scopes.includes(scope)) {
+    return res.status(403).json({
+      msg: scope ? `Token is missing the ${scope} scope` : 'Personal access tokens cannot be used here'
+    });
+  }
+
+  const user = await User.findById(accessToken.user).select('roles');
+  if (!user) {
+    return denied(res);
+  }
+  if (await deleting(req, user.id, options)) {
+    return pendingDeletion(res);
+  }
+
+  if (!accessToken.lastUsed || Date.now() - accessToken.lastUsed > LAST_SEEN_INTERVAL) {
+    accessToken.lastUsed = Date.now();
+    await accessToken.save();
+  }
+
+  req.user = {
+    id: user.id,
+    roles: accessToken.scopes.includes('admin') ? user.roles : ['user'],
+    token: accessToken.id,
+    scopes: accessToken.scopes
+  };
+  next();
+};
+
+const authenticate = (scope, options = {}) => async (req, res, next) => {
+  // get token from header, either x-auth-token or Authorization: Bearer
+  const authorization = req.header('authorization') || '';
+  let token = req.header('x-auth-token') ||
+    (authorization.startsWith('Bearer ') ? authorization.slice(7).trim() : null);
+
+  // otherwise from the session cookie, which browsers send on their own
+  if (!token && req.cookies && req.cookies[ACCESS_COOKIE]) {
+    if (!validCsrf(req)) {
+      return res.status(403).json({
+        msg: 'Invalid CSRF token'
+      });
+    }
+    token = req.cookies[ACCESS_COOKIE];
+  }
 
   // check if no token
   if (!token) {
-    return res.status(401).json({
-      msg: 'Authorization denied!'
-    });
+    return denied(res);
+  }
+
+  if (token.startsWith(TOKEN_PREFIX)) {
+    try {
+      return await personalToken(token, scope, options, req, res, next);
+    } catch (err) {
+      console.error(err.message);
+      return res.status(500).send('Server Error');
+    }
   }
 
   // verify token
+  let decoded;
+  try {
+    decoded = jwt.verify(token, config.JWT_KEY);
+    if (!decoded.user) {
+      throw new Error('Not an access token');
+    }
+  } catch (err) {
+    return denied(res, err.name === 'TokenExpiredError' ? 'Token expired' : undefined);
+  }
+
+  // check the session has not been signed out since the token was issued
   try {
-    const decoded = jwt.verify(token, config.JWT_KEY);
+    const session = await Session.findOne({
+      _id: decoded.user.session,
+      user: decoded.user.id
+    });
+    if (!session || session.revoked) {
+      return denied(res, 'Session has ended');
+    }
+    if (await deleting(req, decoded.user.id, options)) {
+      return pendingDeletion(res);
+    }
+
+    if (Date.now() - session.lastSeen > LAST_SEEN_INTERVAL) {
+      session.lastSeen = Date.now();
+      session.ip = req.ip;
+      await session.save();
+    }
+
     req.user = decoded.user;
     next();
   } catch (err) {
-    res.status(401).json({
-      msg: 'Authorization denied!'
-    })
+    console.error(err.message);
+    res.status(500).send('Server Error');
   }
-};
\ No newline at end of file
+};
+
+// signed in users only
+const auth = authenticate(null);
+
+// signed in users, or personal access tokens holding the scope
+auth.scope = scope => authenticate(scope);
+
+// public routes that change with who is asking: anonymous requests go
+// through, any credentials sent must still be valid
+auth.optional = scope => {
+  const required = authenticate(scope);
+  return (req, res, next) => {
+    const sent = req.header('x-auth-token') || req.header('authorization') ||
+      (req.cookies && req.cookies[ACCESS_COOKIE]);
+    return sent ? required(req, res, next) : next();
+  };
+};
+
+// signed in users, including those whose account waits to be deleted
+auth.allowDeleting = authenticate(null, { allowDeleting: true });
+
+auth.SCOPES = SCOPES;
+auth.TOKEN_PREFIX = TOKEN_PREFIX;
+
+// block unverified accounts, unless config.requireVerifiedEmail is false
+auth.requireVerified = async (req, res, next) => {
+  if (config.requireVerifiedEmail === false) {
+    return next();
+  }
+
+  try {
+    const user = await User.findById(req.user.id).select('verified');
+    if (!user || !user.verified) {
+      return res.status(403).json({
+        msg: 'Please verify your email address first'
+      });
+    }
+    next();
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+};
+
+module.exports = auth;
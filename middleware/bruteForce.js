@@ -0,0 +1,154 @@
+const config = require('../config/config');
+const {
+  createMemoryStore,
+  createMongoStore
+} = require('../utils/attemptStores');
+
+// config.bruteForceStore = 'mongo' shares counters between instances
+const store = config.bruteForceStore === 'mongo' ? createMongoStore() : createMemoryStore();
+
+const MINUTE = 60 * 1000;
+
+// failures allowed before backoff starts and before the key is locked out;
+// an IP is shared by many people (offices, NAT) so it gets more slack
+const POLICIES = {
+  ip: {
+    freeAttempts: 10,
+    lockoutAfter: 100,
+    resetOnSuccess: false
+  },
+  account: {
+    freeAttempts: 3,
+    lockoutAfter: 10,
+    resetOnSuccess: true
+  },
+  registration: {
+    freeAttempts: 5,
+    lockoutAfter: 20,
+    resetOnSuccess: false
+  },
+  // sign-in links requested for one address, so its inbox cannot be flooded
+  magicLink: {
+    freeAttempts: 3,
+    lockoutAfter: 10,
+    resetOnSuccess: false
+  },
+  // sign-in links requested from one IP, kept apart from the ip policy so
+  // asking for links never locks anyone out of password sign in
+  magicLinkIP: {
+    freeAttempts: 10,
+    lockoutAfter: 50,
+    resetOnSuccess: false
+  },
+  ...config.bruteForcePolicies
+};
+
+const DEFAULTS = {
+  baseDelay: 1000,
+  maxDelay: 15 * MINUTE,
+  lockoutDuration: 30 * MINUTE,
+  window: 60 * MINUTE
+};
+
+// exponential backoff once the free attempts are used up
+const delayFor = (policy, failures) => {
+  if (failures >= policy.lockoutAfter) {
+    return policy.lockoutDuration;
+  }
+  if (failures <= policy.freeAttempts) {
+    return 0;
+  }
+  return Math.min(
+    policy.baseDelay * Math.pow(2, failures - policy.freeAttempts - 1),
+    policy.maxDelay
+  );
+};
+
+const track = (kind, id) => ({
+  key: `${kind}:${id}`,
+  policy: { ...DEFAULTS, ...POLICIES[kind] }
+});
+
+const byIP = req => track('ip', req.ip);
+
+const byAccount = req =>
+  req.body.email ? track('account', String(req.body.email).toLowerCase()) : null;
+
+const byRegistrationIP = req => track('registration', req.ip);
+
+const byMagicLinkEmail = req =>
+  req.body.email ? track('magicLink', String(req.body.email).toLowerCase()) : null;
+
+const byMagicLinkIP = req => track('magicLinkIP', req.ip);
+
+// seconds until every tracked key accepts attempts again
+const retryAfter = async tracked => {
+  let until = 0;
+  for (const { key } of tracked) {
+    const record = await store.get(key);
+    if (record && record.lockedUntil > until) {
+      until = record.lockedUntil;
+    }
+  }
+  return Math.max(0, Math.ceil((until - Date.now()) / 1000));
+};
+
+const fail = tracked =>
+  Promise.all(tracked.map(async ({ key, policy }) => {
+    const failures = await store.increment(key, policy.window);
+    const delay = delayFor(policy, failures);
+    if (delay > 0) {
+      await store.lock(key, Date.now() + delay);
+    }
+  }));
+
+const succeed = tracked =>
+  Promise.all(tracked
+    .filter(({ policy }) => policy.resetOnSuccess)
+    .map(({ key }) => store.reset(key)));
+
+const plural = (count, unit) => `${count} ${unit}${count === 1 ? '' : 's'}`;
+
+const describe = seconds =>
+  seconds < 60 ? plural(seconds, 'second') : plural(Math.ceil(seconds / 60), 'minute');
+
+// refuse requests for keys that are backing off with 429 & Retry-After, and
+// expose req.attempts.fail()/succeed() for the route to report the outcome;
+// with countEvery every request counts as a failure up front
+const bruteForce = (trackers, { countEvery = false } = {}) => async (req, res, next) => {
+  const tracked = trackers.map(tracker => tracker(req)).filter(Boolean);
+
+  try {
+    const wait = await retryAfter(tracked);
+    if (wait > 0) {
+      res.set('Retry-After', String(wait));
+      return res.status(429).json({
+        errors: [{
+          msg: `Too many attempts, please try again in ${describe(wait)}`
+        }]
+      });
+    }
+
+    req.attempts = {
+      fail: () => fail(tracked),
+      succeed: () => succeed(tracked)
+    };
+    if (countEvery) {
+      await req.attempts.fail();
+    }
+    next();
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+};
+
+module.exports = {
+  bruteForce,
+  track,
+  byIP,
+  byAccount,
+  byRegistrationIP,
+  byMagicLinkEmail,
+  byMagicLinkIP
+};
@@ -0,0 +1,43 @@
+// role based access control, run after the auth middleware
+
+const ROLES = ['user', 'moderator', 'admin'];
+
+// what each role may do on top of managing its own content
+const PERMISSIONS = {
+  user: [],
+  moderator: ['posts:moderate', 'comments:moderate'],
+  admin: ['posts:moderate', 'comments:moderate', 'users:manage', 'audit:read', 'invites:manage']
+};
+
+const hasRole = (user, ...roles) =>
+  (user.roles || []).some(role => roles.includes(role));
+
+const hasPermission = (user, permission) =>
+  (user.roles || []).some(role =>
+    (PERMISSIONS[role] || []).includes(permission));
+
+// the owner of a resource, or anyone holding the permission, may change it;
+// content left behind by deleted accounts has no owner
+const canModify = (user, owner, permission) =>
+  (!!owner && owner.toString() === user.id) || hasPermission(user, permission);
+
+const forbidden = res =>
+  res.status(403).json({
+    msg: 'User not authorized'
+  });
+
+const requireRole = (...roles) => (req, res, next) =>
+  hasRole(req.user, ...roles) ? next() : forbidden(res);
+
+const requirePermission = permission => (req, res, next) =>
+  hasPermission(req.user, permission) ? next() : forbidden(res);
+
+module.exports = {
+  ROLES,
+  PERMISSIONS,
+  hasRole,
+  hasPermission,
+  canModify,
+  requireRole,
+  requirePermission
+};
@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+// personal access token for scripting against the API
+const AccessTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'user',
+    required: true,
+    index: true,
+  },
+  name: {
+    type: String,
+    required: true,
+  },
+  // sha256 of the token, which is only shown once when it is created
+  token: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false,
+  },
+  // start of the token, so users can tell their tokens apart
+  hint: {
+    type: String,
+  },
+  scopes: {
+    type: [String],
+    required: true,
+  },
+  expires: {
+    type: Date,
+  },
+  lastUsed: {
+    type: Date,
+  },
+  date: {
+    type: Date,
+    default: Date.now,
+  }
+});
+
+module.exports = AccessToken = mongoose.model('accessToken', AccessTokenSchema);
@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+const AuditEventSchema = new mongoose.Schema({
+  // who did it, missing for anonymous requests such as unknown logins
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'user',
+    index: true,
+  },
+  action: {
+    type: String,
+    required: true,
+    index: true,
+  },
+  // what it was done to
+  target: {
+    kind: {
+      type: String,
+    },
+    id: {
+      type: String,
+    },
+  },
+  ip: {
+    type: String,
+  },
+  userAgent: {
+    type: String,
+  },
+  meta: {
+    type: mongoose.Schema.Types.Mixed,
+  },
+  date: {
+    type: Date,
+    default: Date.now,
+    index: true,
+  }
+});
+
+AuditEventSchema.index({ 'target.id': 1, date: -1 });
+
+// the log is append-only
+const appendOnly = function () {
+  throw new Error('Audit events cannot be changed');
+};
+[
+  'update',
+  'updateOne',
+  'updateMany',
+  'findOneAndUpdate',
+  'findOneAndRemove',
+  'findOneAndDelete',
+  'deleteOne',
+  'deleteMany',
+  'remove'
+].forEach(hook => AuditEventSchema.pre(hook, appendOnly));
+
+module.exports = AuditEvent = mongoose.model('auditEvent', AuditEventSchema);
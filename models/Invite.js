@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+// invite code for registering while registration is invite-only
+const InviteSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  creator: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'user',
+    required: true,
+    index: true,
+  },
+  // when set, only this address may register with the code
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true,
+  },
+  maxUses: {
+    type: Number,
+    default: 1,
+  },
+  uses: {
+    type: Number,
+    default: 0,
+  },
+  usedBy: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'user',
+  }],
+  expires: {
+    type: Date,
+  },
+  revoked: {
+    type: Date,
+  },
+  date: {
+    type: Date,
+    default: Date.now,
+  }
+});
+
+module.exports = Invite = mongoose.model('invite', InviteSchema);
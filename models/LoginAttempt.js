@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+
+const LoginAttemptSchema = new mongoose.Schema({
+  // what is being tracked, e.g. "ip:1.2.3.4" or "account:me@example.com"
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  failures: {
+    type: Number,
+    default: 0,
+  },
+  lockedUntil: {
+    type: Date,
+  },
+  expires: {
+    type: Date,
+    required: true,
+    expires: 0,
+  },
+});
+
+module.exports = LoginAttempt = mongoose.model('loginAttempt', LoginAttemptSchema);
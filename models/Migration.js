@@ -0,0 +1,16 @@
+const mongoose = require('mongoose');
+
+// a data migration that has been applied, see utils/migrations
+const MigrationSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  date: {
+    type: Date,
+    default: Date.now,
+  }
+});
+
+module.exports = Migration = mongoose.model('migration', MigrationSchema);
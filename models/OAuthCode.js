@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+// one-time code handed to the client after GitHub sign in, exchanged for
+// tokens by the browser that started the flow
+const OAuthCodeSchema = new mongoose.Schema({
+  // sha256 of the code, never the code itself
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'user',
+    required: true,
+  },
+  // the OAuth state nonce, also kept in the browser's cookie
+  nonce: {
+    type: String,
+    required: true,
+  },
+  username: {
+    type: String,
+  },
+  expires: {
+    type: Date,
+    required: true,
+    expires: 0,
+  }
+});
+
+module.exports = OAuthCode = mongoose.model('oauthCode', OAuthCodeSchema);
@@ -46,4 +46,16 @@ const PostSchema = new mongoose.Schema({
   }
 });
 
+// full-text search, see GET api/search
+PostSchema.index({
+  text: 'text',
+  'comments.text': 'text',
+}, {
+  name: 'post_text',
+  weights: {
+    text: 2,
+    'comments.text': 1,
+  },
+});
+
 module.exports = Post = mongoose.model('post', PostSchema);
\ No newline at end of file
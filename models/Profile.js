@@ -1,10 +1,27 @@
 const mongoose = require('mongoose');
+const { LEVELS, SECTIONS } = require('../utils/profilePrivacy');
 
 const ProfileSchema = new mongoose.Schema({
   user: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'user',
   },
+  handle: {
+    type: String,
+  },
+  // lower-cased handle, used for case-insensitive lookups and uniqueness
+  handleKey: {
+    type: String,
+    index: {
+      unique: true,
+      sparse: true,
+    },
+  },
+  // lower-cased handles given up on rename, redirected to the current one
+  previousHandles: {
+    type: [String],
+    index: true,
+  },
   company: {
     type: String,
   },
@@ -83,6 +100,34 @@ const ProfileSchema = new mongoose.Schema({
       type: String,
     },
   }],
+  // sections the owner has put in their own order, see PUT api/profile/order/:section;
+  // the others are kept newest first
+  manualOrder: {
+    experience: {
+      type: Boolean,
+      default: false,
+    },
+    education: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  // who may see each section, see utils/profilePrivacy
+  privacy: {
+    ...Object.keys(SECTIONS).reduce((levels, section) => ({
+      ...levels,
+      [section]: {
+        type: String,
+        enum: LEVELS,
+        default: 'public',
+      },
+    }), {}),
+    // left out of the GET api/profile directory and search
+    hidden: {
+      type: Boolean,
+      default: false,
+    },
+  },
   social: {
     youtube: {
       type: String,
@@ -106,4 +151,35 @@ const ProfileSchema = new mongoose.Schema({
   },
 });
 
+// full-text search, see GET api/search
+ProfileSchema.index({
+  bio: 'text',
+  skills: 'text',
+  company: 'text',
+  'experience.title': 'text',
+}, {
+  name: 'profile_text',
+  weights: {
+    skills: 5,
+    'experience.title': 3,
+    company: 3,
+    bio: 1,
+  },
+});
+
+// current entries first, then by start date and end date, newest first
+const chronological = (a, b) =>
+  (b.current ? 1 : 0) - (a.current ? 1 : 0) ||
+  new Date(b.from) - new Date(a.from) ||
+  new Date(b.to || 0) - new Date(a.to || 0);
+
+ProfileSchema.pre('save', function () {
+  ['experience', 'education'].forEach(section => {
+    if (this.manualOrder && this.manualOrder[section]) return;
+    if (this.isModified(section) || this.isModified(`manualOrder.${section}`)) {
+      this[section].sort(chronological);
+    }
+  });
+});
+
 module.exports = Profile = mongoose.model('profile', ProfileSchema);
\ No newline at end of file
@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+const RefreshTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'user',
+    required: true,
+  },
+  // sha256 of the token handed to the client, never the token itself
+  token: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  // every token issued from the same login shares a family
+  family: {
+    type: String,
+    required: true,
+    index: true,
+  },
+  replacedBy: {
+    type: String,
+  },
+  revoked: {
+    type: Date,
+  },
+  expires: {
+    type: Date,
+    required: true,
+    expires: 0,
+  },
+  date: {
+    type: Date,
+    default: Date.now,
+  }
+});
+
+module.exports = RefreshToken = mongoose.model('refreshToken', RefreshTokenSchema);
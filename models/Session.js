@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+// one per login; its id is the family of the refresh tokens issued for it
+const SessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'user',
+    required: true,
+    index: true,
+  },
+  userAgent: {
+    type: String,
+  },
+  ip: {
+    type: String,
+  },
+  lastSeen: {
+    type: Date,
+    default: Date.now,
+  },
+  revoked: {
+    type: Date,
+  },
+  expires: {
+    type: Date,
+    required: true,
+    expires: 0,
+  },
+  date: {
+    type: Date,
+    default: Date.now,
+  }
+});
+
+module.exports = Session = mongoose.model('session', SessionSchema);
@@ -10,13 +10,104 @@ const UserSchema = new mongoose.Schema({
     required: true,
     unique: true,
   },
+  // accounts created through GitHub sign in have no password
   password: {
     type: String,
-    required: true,
+    required: function () {
+      return !(this.github && this.github.id);
+    },
   },
   avatar: {
     type: String,
   },
+  // resized uploads by size name, empty while the gravatar is in use
+  avatarSizes: {
+    small: String,
+    medium: String,
+    large: String,
+  },
+  avatarKeys: {
+    type: [String],
+    select: false,
+  },
+  // users who may not interact with this one, and users hidden from their feed
+  blocked: {
+    type: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'user',
+    }],
+    index: true,
+    select: false,
+  },
+  muted: {
+    type: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'user',
+    }],
+    select: false,
+  },
+  verified: {
+    type: Boolean,
+    default: false,
+  },
+  // a new address waiting for confirmation, email only changes once it is
+  pendingEmail: {
+    type: String,
+  },
+  roles: {
+    type: [{
+      type: String,
+      enum: ['user', 'moderator', 'admin'],
+    }],
+    default: ['user'],
+  },
+  github: {
+    id: {
+      type: String,
+      index: {
+        unique: true,
+        sparse: true,
+      },
+    },
+    username: {
+      type: String,
+    },
+  },
+  twoFactorEnabled: {
+    type: Boolean,
+    default: false,
+  },
+  twoFactorSecret: {
+    type: String,
+    select: false,
+  },
+  // last TOTP time step accepted, so a code cannot be used twice
+  twoFactorLastStep: {
+    type: Number,
+    select: false,
+  },
+  twoFactorRecoveryCodes: {
+    type: [String],
+    select: false,
+  },
+  // set while the account waits out its deletion grace period
+  deleteAfter: {
+    type: Date,
+    index: true,
+  },
+  // nonce of the outstanding sign-in link, cleared when it is used
+  magicLinkNonce: {
+    type: String,
+    select: false,
+  },
+  resetPasswordToken: {
+    type: String,
+    select: false,
+  },
+  resetPasswordExpires: {
+    type: Date,
+    select: false,
+  },
   date: {
     type: Date,
     default: Date.now,
@@ -0,0 +1,76 @@
+const express = require('express');
+const router = express.Router();
+const {
+  query,
+  validationResult
+} = require('express-validator');
+
+const auth = require('../../middleware/auth');
+const { requirePermission } = require('../../middleware/roles');
+const AuditEvent = require('../../models/AuditEvent');
+
+// @route     GET api/audit
+// @desc      Query the audit log by actor, action & date range, newest first
+// @access    Admin
+router.get('/', [auth, requirePermission('audit:read'), [
+  query('actor', 'Actor must be a user id').optional().isMongoId(),
+  query('action', 'Action must be text').optional().isString(),
+  query('from', 'From must be a date').optional().isISO8601(),
+  query('to', 'To must be a date').optional().isISO8601(),
+  query('page', 'Page must be a positive number').optional().isInt({ min: 1 }),
+  query('limit', 'Limit must be between 1 and 200').optional().isInt({ min: 1, max: 200 })
+]], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      errors: errors.array()
+    });
+  }
+
+  const {
+    actor,
+    action,
+    from,
+    to
+  } = req.query;
+  const page = parseInt(req.query.page, 10) || 1;
+  const limit = parseInt(req.query.limit, 10) || 50;
+
+  try {
+    // build filter, action may be a prefix such as "login."
+    const filter = {};
+    if (actor) filter.actor = actor;
+    if (action) {
+      filter.action = action.endsWith('.') ?
+        new RegExp(`^${action.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}`) : action;
+    }
+    if (from || to) {
+      filter.date = {};
+      if (from) filter.date.$gte = new Date(from);
+      if (to) filter.date.$lte = new Date(to);
+    }
+
+    const [events, total] = await Promise.all([
+      AuditEvent.find(filter)
+        .populate('actor', ['name', 'email'])
+        .sort({
+          date: -1
+        })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      AuditEvent.countDocuments(filter)
+    ]);
+
+    res.status(200).json({
+      events,
+      total,
+      page,
+      pages: Math.ceil(total / limit)
+    });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+module.exports = router;
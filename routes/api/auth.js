@@ -1,7 +1,10 @@
 const express = require('express');
 const router = express.Router();
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const querystring = require('querystring');
 const jwt = require('jsonwebtoken');
+const QRCode = require('qrcode');
 const config = require('../../config/config');
 const {
   check,
@@ -9,12 +12,92 @@ const {
 } = require('express-validator');
 
 const auth = require('../../middleware/auth');
+const {
+  bruteForce,
+  track,
+  byIP,
+  byAccount,
+  byMagicLinkEmail,
+  byMagicLinkIP
+} = require('../../middleware/bruteForce');
 const User = require('../../models/User');
+const Profile = require('../../models/Profile');
+const Session = require('../../models/Session');
+const AuditEvent = require('../../models/AuditEvent');
+const OAuthCode = require('../../models/OAuthCode');
+const {
+  hashToken,
+  issueTokens,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeFamily,
+  revokeUserTokens
+} = require('../../utils/tokens');
+const { sendMail } = require('../../utils/mailer');
+const { sendPasswordReset } = require('../../utils/passwordReset');
+const totp = require('../../utils/totp');
+const github = require('../../utils/github');
+const { audit, userTarget } = require('../../utils/audit');
+const { checkPassword } = require('../../utils/passwordPolicy');
+const { INVITE_ONLY } = require('../../utils/invites');
+const {
+  COOKIE_MODE,
+  REFRESH_COOKIE,
+  OAUTH_COOKIE,
+  clearAuthCookies,
+  setOAuthCookie,
+  clearOAuthCookie,
+  withTokens,
+  validCsrf
+} = require('../../utils/authCookies');
+
+const CLIENT_URL = config.clientURL || 'http://localhost:3000';
+const MAGIC_LINK_EXPIRES_IN = '15m';
+const OAUTH_CODE_EXPIRES = 60 * 1000; // 1 minute
+const RECOVERY_CODE_COUNT = 10;
+
+// 2FA codes are guessed per user, the challenge says which one
+const byChallenge = req => {
+  const decoded = jwt.decode(req.body.challengeToken || '');
+  return decoded && decoded.twoFactor ? track('account', `2fa:${decoded.twoFactor.id}`) : null;
+};
+
+// short-lived token standing in for the password step of a 2FA login
+const signChallengeToken = user =>
+  jwt.sign({
+    twoFactor: {
+      id: user.id
+    }
+  }, config.JWT_KEY, {
+    expiresIn: '5m'
+  });
+
+// check a TOTP code, or failing that consume a recovery code;
+// user must be loaded with the two-factor fields selected
+const checkSecondFactor = async (user, code) => {
+  code = (code || '').trim();
+
+  const step = totp.verifyToken(user.twoFactorSecret, code, user.twoFactorLastStep);
+  if (step !== null) {
+    user.twoFactorLastStep = step;
+    await user.save();
+    return true;
+  }
+
+  const index = user.twoFactorRecoveryCodes.indexOf(hashToken(code.toLowerCase()));
+  if (index >= 0) {
+    user.twoFactorRecoveryCodes.splice(index, 1);
+    await user.save();
+    return true;
+  }
+
+  return false;
+};
 
 // @route     GET api/auth
 // @desc      Test route
 // @access    Public [no token needed]
-router.get('/', auth, async (req, res) => {
+router.get('/', auth.scope('user:read'), async (req, res) => {
   try {
     const user = await User.findById(req.user.id).select('-password');
     res.status(200).json(user);
@@ -28,6 +111,7 @@ router.get('/', auth, async (req, res) => {
 // @desc      Authenticate user & get token
 // @access    Public
 router.post('/', [
+  bruteForce([byIP, byAccount]),
   check('email', 'Please include a valid email').isEmail(),
   check('password', 'Password is required').exists()
 ], async (req, res) => {
@@ -48,7 +132,12 @@ router.post('/', [
     let user = await User.findOne({
       email
     });
-    if (!user) {
+    if (!user || !user.password) {
+      await req.attempts.fail();
+      await audit(req, 'login.failed', {
+        actor: user && user.id,
+        meta: { email }
+      });
       return res.status(400).json({
         errors: [{
           msg: 'Invalid Credentials'
@@ -58,32 +147,886 @@ router.post('/', [
 
     const isMatch = await bcrypt.compare(password, user.password);
     if (!isMatch) {
+      await req.attempts.fail();
+      await audit(req, 'login.failed', {
+        actor: user.id,
+        meta: { email }
+      });
       return res.status(400).json({
         errors: [{
           msg: 'Invalid Credentials'
         }]
       });
     }
+    await req.attempts.succeed();
 
-    // return jsonwebtoken
-    const payload = {
-      user: {
-        id: user.id
-      }
+    // with 2FA on, trade the password for a short-lived challenge instead
+    if (user.twoFactorEnabled) {
+      return res.status(200).json({
+        msg: 'Two-factor code required',
+        twoFactor: true,
+        challengeToken: signChallengeToken(user)
+      });
+    }
+
+    // return access & refresh tokens
+    const tokens = await issueTokens(user, req);
+    await audit(req, 'login', {
+      actor: user.id
+    });
+    res.status(201).json(withTokens(res, tokens, {
+      msg: "Login Successful"
+    }));
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route     POST api/auth/2fa/verify
+// @desc      Complete login with a TOTP or recovery code
+// @access    Public
+router.post('/2fa/verify', [
+  bruteForce([byIP, byChallenge]),
+  check('challengeToken', 'Challenge token is required').not().isEmpty(),
+  check('code', 'Code is required').not().isEmpty()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      errors: errors.array()
+    });
+  }
+
+  let decoded;
+  try {
+    decoded = jwt.verify(req.body.challengeToken, config.JWT_KEY);
+  } catch (err) {
+    decoded = {};
+  }
+  if (!decoded.twoFactor) {
+    return res.status(401).json({
+      errors: [{
+        msg: 'Login has expired, please sign in again'
+      }]
+    });
+  }
+
+  try {
+    const user = await User.findById(decoded.twoFactor.id)
+      .select('+twoFactorSecret +twoFactorLastStep +twoFactorRecoveryCodes');
+    if (!user || !user.twoFactorEnabled) {
+      return res.status(401).json({
+        errors: [{
+          msg: 'Login has expired, please sign in again'
+        }]
+      });
+    }
+
+    if (!(await checkSecondFactor(user, req.body.code))) {
+      await req.attempts.fail();
+      await audit(req, 'login.failed', {
+        actor: user.id,
+        meta: { twoFactor: true }
+      });
+      return res.status(400).json({
+        errors: [{
+          msg: 'Invalid authentication code'
+        }]
+      });
+    }
+    await req.attempts.succeed();
+
+    const tokens = await issueTokens(user, req);
+    await audit(req, 'login', {
+      actor: user.id,
+      meta: { twoFactor: true }
+    });
+    res.status(201).json(withTokens(res, tokens, {
+      msg: "Login Successful"
+    }));
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route     POST api/auth/2fa/setup
+// @desc      Start 2FA enrollment, returns the secret as otpauth URI & QR code
+// @access    Private
+router.post('/2fa/setup', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({
+        errors: [{
+          msg: 'Two-factor authentication is already enabled'
+        }]
+      });
+    }
+
+    const secret = totp.generateSecret();
+    user.twoFactorSecret = secret;
+    await user.save();
+
+    const otpauthURL = totp.otpauthURL(secret, user.email);
+    const qrCode = await QRCode.toDataURL(otpauthURL);
+    res.status(200).json({
+      secret,
+      otpauthURL,
+      qrCode
+    });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route     POST api/auth/2fa/enable
+// @desc      Confirm enrollment with a first code, returns recovery codes
+// @access    Private
+router.post('/2fa/enable', [auth, [
+  check('code', 'Code is required').not().isEmpty()
+]], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      errors: errors.array()
+    });
+  }
+
+  try {
+    const user = await User.findById(req.user.id)
+      .select('+twoFactorSecret +twoFactorLastStep');
+    if (user.twoFactorEnabled || !user.twoFactorSecret) {
+      return res.status(400).json({
+        errors: [{
+          msg: 'Start two-factor setup first'
+        }]
+      });
+    }
+
+    const step = totp.verifyToken(user.twoFactorSecret, req.body.code.trim());
+    if (step === null) {
+      return res.status(400).json({
+        errors: [{
+          msg: 'Invalid authentication code'
+        }]
+      });
+    }
+
+    // shown once, only hashes are kept
+    const recoveryCodes = [];
+    for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+      const code = crypto.randomBytes(5).toString('hex');
+      recoveryCodes.push(`${code.slice(0, 5)}-${code.slice(5)}`);
+    }
+
+    user.twoFactorEnabled = true;
+    user.twoFactorLastStep = step;
+    user.twoFactorRecoveryCodes = recoveryCodes.map(hashToken);
+    await user.save();
+    await audit(req, '2fa.enabled', {
+      target: userTarget(user.id)
+    });
+
+    res.status(200).json({
+      msg: 'Two-factor authentication enabled',
+      recoveryCodes
+    });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route     POST api/auth/2fa/disable
+// @desc      Turn 2FA off, requires password and a current code
+// @access    Private
+router.post('/2fa/disable', [auth, [
+  check('password', 'Password is required').exists(),
+  check('code', 'Code is required').not().isEmpty()
+]], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      errors: errors.array()
+    });
+  }
+
+  try {
+    const user = await User.findById(req.user.id)
+      .select('+twoFactorSecret +twoFactorLastStep +twoFactorRecoveryCodes');
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({
+        errors: [{
+          msg: 'Two-factor authentication is not enabled'
+        }]
+      });
+    }
+
+    const isMatch = user.password &&
+      await bcrypt.compare(req.body.password, user.password);
+    if (!isMatch || !(await checkSecondFactor(user, req.body.code))) {
+      return res.status(400).json({
+        errors: [{
+          msg: 'Invalid Credentials'
+        }]
+      });
+    }
+
+    user.twoFactorEnabled = false;
+    user.twoFactorSecret = undefined;
+    user.twoFactorLastStep = undefined;
+    user.twoFactorRecoveryCodes = [];
+    await user.save();
+    await audit(req, '2fa.disabled', {
+      target: userTarget(user.id)
+    });
+
+    res.status(200).json({
+      msg: 'Two-factor authentication disabled'
+    });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// signed, short-lived OAuth state; carries the user id when linking. Its
+// nonce goes in a cookie too, so a callback URL cannot be replayed elsewhere
+const signOAuthState = (res, link = null) => {
+  const nonce = crypto.randomBytes(16).toString('hex');
+  setOAuthCookie(res, nonce);
+  return jwt.sign({
+    oauth: {
+      nonce,
+      link
+    }
+  }, config.JWT_KEY, {
+    expiresIn: '10m'
+  });
+};
+
+// set githubusername on the user's profile unless they already chose one
+const fillGithubUsername = (user, username) =>
+  Profile.updateOne({
+    user,
+    githubusername: {
+      $in: [null, '']
+    }
+  }, {
+    $set: {
+      githubusername: username
+    }
+  });
+
+// @route     GET api/auth/github
+// @desc      Start sign in with GitHub
+// @access    Public
+router.get('/github', (req, res) => {
+  res.redirect(github.authorizeURL(signOAuthState(res)));
+});
+
+// @route     POST api/auth/github/link
+// @desc      Get the GitHub authorize URL for linking the current account
+// @access    Private
+router.post('/github/link', auth, (req, res) => {
+  res.status(200).json({
+    url: github.authorizeURL(signOAuthState(res, req.user.id))
+  });
+});
+
+// @route     GET api/auth/github/callback
+// @desc      GitHub redirects here, hands the client a one-time code in the
+//            URL fragment to exchange for tokens
+// @access    Public
+router.get('/github/callback', async (req, res) => {
+  const redirect = params => {
+    // the nonce cookie is kept only for exchanging a code
+    if (!params.code) clearOAuthCookie(res);
+    res.redirect(`${CLIENT_URL}/oauth/callback#${querystring.stringify(params)}`);
+  };
+
+  let state;
+  try {
+    state = jwt.verify(req.query.state, config.JWT_KEY).oauth;
+  } catch (err) {
+    state = null;
+  }
+  const nonce = req.cookies && req.cookies[OAUTH_COOKIE];
+  if (!state || !req.query.code || !nonce || nonce !== state.nonce) {
+    return redirect({
+      error: 'GitHub sign in failed, please try again'
+    });
+  }
+
+  try {
+    const identity = await github.getIdentity(
+      await github.exchangeCode(req.query.code)
+    );
+    const linked = {
+      id: identity.id,
+      username: identity.username
     };
 
-    jwt.sign(
-      payload,
-      config.JWT_KEY, {
-        expiresIn: 360000
-      },
-      (err, token) => {
-        if (err) throw err;
-        res.status(201).json({
-          msg: "Login Successful",
-          token
+    let user = await User.findOne({
+      'github.id': identity.id
+    });
+
+    // link GitHub to the account that asked for it
+    if (state.link) {
+      if (user && user.id !== state.link) {
+        return redirect({
+          error: 'That GitHub account is linked to another user'
+        });
+      }
+      user = await User.findById(state.link);
+      if (!user) {
+        return redirect({
+          error: 'GitHub sign in failed, please try again'
+        });
+      }
+      user.github = linked;
+      await user.save();
+      await fillGithubUsername(user.id, identity.username);
+      await audit(req, 'github.linked', {
+        actor: user.id,
+        target: userTarget(user.id),
+        meta: { username: identity.username }
+      });
+      return redirect({
+        linked: identity.username
+      });
+    }
+
+    if (!user) {
+      if (!identity.email) {
+        return redirect({
+          error: 'Your GitHub account has no verified email address'
         });
+      }
+
+      // an existing account is only linked when both sides verified the address
+      user = await User.findOne({
+        email: {
+          $in: identity.emails
+        }
+      });
+      if (user && !user.verified) {
+        return redirect({
+          error: 'Please sign in with your password and verify your email before using GitHub'
+        });
+      }
+
+      if (user) {
+        user.github = linked;
+      } else if (INVITE_ONLY) {
+        return redirect({
+          error: 'Registration is invite-only, please sign up with your invite code first'
+        });
+      } else {
+        user = new User({
+          name: identity.name,
+          email: identity.email,
+          avatar: identity.avatar,
+          verified: true,
+          github: linked
+        });
+      }
+      await user.save();
+    }
+
+    await fillGithubUsername(user.id, identity.username);
+
+    const code = crypto.randomBytes(32).toString('hex');
+    await new OAuthCode({
+      code: hashToken(code),
+      user: user.id,
+      nonce,
+      username: identity.username,
+      expires: Date.now() + OAUTH_CODE_EXPIRES
+    }).save();
+    redirect({
+      code
+    });
+  } catch (err) {
+    console.error(err.message);
+    redirect({
+      error: 'GitHub sign in failed, please try again'
+    });
+  }
+});
+
+// @route     POST api/auth/github/exchange
+// @desc      Trade the one-time code from the GitHub callback for tokens
+// @access    Public
+router.post('/github/exchange', [
+  check('code', 'Code is required').isString().not().isEmpty()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      errors: errors.array()
+    });
+  }
+
+  const nonce = req.cookies && req.cookies[OAUTH_COOKIE];
+  clearOAuthCookie(res);
+
+  try {
+    // only the browser holding the nonce cookie, and only once
+    const pending = nonce ? await OAuthCode.findOneAndDelete({
+      code: hashToken(req.body.code),
+      nonce
+    }) : null;
+    const user = pending && pending.expires > Date.now() ?
+      await User.findById(pending.user) : null;
+    if (!user) {
+      return res.status(401).json({
+        msg: 'GitHub sign in failed, please try again'
       });
+    }
+
+    if (user.twoFactorEnabled) {
+      return res.status(200).json({
+        msg: 'Two-factor code required',
+        twoFactor: true,
+        challengeToken: signChallengeToken(user)
+      });
+    }
+
+    const tokens = await issueTokens(user, req);
+    await audit(req, 'login', {
+      actor: user.id,
+      meta: { github: pending.username }
+    });
+    res.status(200).json(withTokens(res, tokens, {}));
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// take the refresh token from its cookie when the body has none, the
+// cookie is only trusted along with a matching CSRF header
+const refreshTokenFrom = (req, res, next) => {
+  if (!req.body.refreshToken && req.cookies && req.cookies[REFRESH_COOKIE]) {
+    if (!validCsrf(req)) {
+      return res.status(403).json({
+        msg: 'Invalid CSRF token'
+      });
+    }
+    req.body.refreshToken = req.cookies[REFRESH_COOKIE];
+  }
+  next();
+};
+
+// @route     POST api/auth/refresh
+// @desc      Exchange a refresh token for a new token pair
+// @access    Public
+router.post('/refresh', [
+  refreshTokenFrom,
+  check('refreshToken', 'Refresh token is required').not().isEmpty()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      errors: errors.array()
+    });
+  }
+
+  try {
+    const tokens = await rotateRefreshToken(req.body.refreshToken, req);
+    if (!tokens) {
+      if (COOKIE_MODE) clearAuthCookies(res);
+      return res.status(401).json({
+        msg: 'Invalid refresh token'
+      });
+    }
+    res.status(200).json(withTokens(res, tokens, {}));
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route     POST api/auth/logout
+// @desc      Revoke refresh token
+// @access    Public
+router.post('/logout', [
+  refreshTokenFrom,
+  check('refreshToken', 'Refresh token is required').not().isEmpty()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      errors: errors.array()
+    });
+  }
+
+  try {
+    const revoked = await revokeRefreshToken(req.body.refreshToken);
+    if (revoked) {
+      await audit(req, 'logout', {
+        actor: revoked.user
+      });
+    }
+    clearAuthCookies(res);
+    res.status(200).json({
+      msg: 'Logged out'
+    });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route     GET api/auth/sessions
+// @desc      List the current user's active sessions
+// @access    Private
+router.get('/sessions', auth, async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user.id,
+      revoked: null,
+      expires: {
+        $gt: Date.now()
+      }
+    }).select('userAgent ip lastSeen date').sort({
+      lastSeen: -1
+    });
+
+    res.status(200).json(sessions.map(session => ({
+      ...session.toObject(),
+      current: session.id === req.user.session
+    })));
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route     DELETE api/auth/sessions/:id
+// @desc      Sign out one session
+// @access    Private
+router.delete('/sessions/:id', auth, async (req, res) => {
+  try {
+    const session = await Session.findOne({
+      _id: req.params.id,
+      user: req.user.id
+    });
+    if (!session) {
+      return res.status(404).json({
+        msg: 'Session not found'
+      });
+    }
+
+    await revokeFamily(session.id);
+    await audit(req, 'session.revoked', {
+      target: {
+        kind: 'session',
+        id: session.id
+      }
+    });
+    res.status(200).json({
+      msg: 'Session signed out'
+    });
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({
+        msg: 'Session not found'
+      });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
+// @route     DELETE api/auth/sessions
+// @desc      Log out everywhere
+// @access    Private
+router.delete('/sessions', auth, async (req, res) => {
+  try {
+    await revokeUserTokens(req.user.id);
+    await audit(req, 'session.revoked_all', {
+      target: userTarget(req.user.id)
+    });
+    clearAuthCookies(res);
+    res.status(200).json({
+      msg: 'Signed out of all sessions'
+    });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route     GET api/auth/activity
+// @desc      Recent security activity on the current user's account
+// @access    Private
+router.get('/activity', auth, async (req, res) => {
+  try {
+    const events = await AuditEvent.find({
+      $or: [{
+        actor: req.user.id
+      }, {
+        'target.kind': 'user',
+        'target.id': req.user.id
+      }]
+    }).select('action ip userAgent date').sort({
+      date: -1
+    }).limit(50);
+    res.status(200).json(events);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route     POST api/auth/forgot-password
+// @desc      Email a password reset link
+// @access    Public
+router.post('/forgot-password', [
+  check('email', 'Please include a valid email').isEmail()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      errors: errors.array()
+    });
+  }
+
+  // same answer whether or not the account exists
+  const msg = 'If that email is registered, a reset link has been sent';
+
+  try {
+    const user = await User.findOne({
+      email: req.body.email
+    });
+    if (!user) {
+      return res.status(200).json({
+        msg
+      });
+    }
+
+    await sendPasswordReset(user);
+    await audit(req, 'password.reset_requested', {
+      target: userTarget(user.id)
+    });
+
+    res.status(200).json({
+      msg
+    });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route     POST api/auth/reset-password
+// @desc      Set a new password using an emailed reset token
+// @access    Public
+router.post('/reset-password', [
+  check('token', 'Reset token is required').not().isEmpty()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      errors: errors.array()
+    });
+  }
+
+  const {
+    token,
+    password
+  } = req.body;
+
+  try {
+    const user = await User.findOne({
+      resetPasswordToken: hashToken(token),
+      resetPasswordExpires: {
+        $gt: Date.now()
+      }
+    });
+    if (!user) {
+      return res.status(400).json({
+        errors: [{
+          msg: 'Reset link is invalid or has expired'
+        }]
+      });
+    }
+
+    const passwordErrors = await checkPassword(password, user);
+    if (passwordErrors.length) {
+      return res.status(400).json({
+        errors: passwordErrors
+      });
+    }
+
+    const salt = await bcrypt.genSalt(10);
+    user.password = await bcrypt.hash(password, salt);
+    user.resetPasswordToken = undefined;
+    user.resetPasswordExpires = undefined;
+    await user.save();
+
+    // sign out everywhere the old password was used
+    await revokeUserTokens(user.id);
+    await audit(req, 'password.reset', {
+      actor: user.id,
+      target: userTarget(user.id)
+    });
+
+    res.status(200).json({
+      msg: 'Password has been reset'
+    });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// answer 404 before anything is counted when config.magicLinks is false
+const magicLinksEnabled = (req, res, next) => {
+  if (config.magicLinks === false) {
+    return res.status(404).json({
+      msg: 'Sign-in links are not enabled'
+    });
+  }
+  next();
+};
+
+// @route     POST api/auth/magic-link
+// @desc      Email a single-use sign-in link, unless config.magicLinks is false
+// @access    Public
+router.post('/magic-link', [
+  magicLinksEnabled,
+  bruteForce([byMagicLinkIP, byMagicLinkEmail], { countEvery: true }),
+  check('email', 'Please include a valid email').isEmail()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      errors: errors.array()
+    });
+  }
+
+  // same answer whether or not the account exists
+  const msg = 'If that email is registered, a sign-in link has been sent';
+
+  try {
+    const user = await User.findOne({
+      email: req.body.email
+    });
+    if (!user) {
+      return res.status(200).json({
+        msg
+      });
+    }
+
+    // a newer link replaces any earlier one
+    const nonce = crypto.randomBytes(16).toString('hex');
+    user.magicLinkNonce = nonce;
+    await user.save();
+
+    const token = jwt.sign({
+      magicLink: {
+        id: user.id,
+        email: user.email,
+        nonce
+      }
+    }, config.JWT_KEY, {
+      expiresIn: MAGIC_LINK_EXPIRES_IN
+    });
+
+    await sendMail({
+      to: user.email,
+      subject: 'Your DevConnector sign-in link',
+      text: `Hi ${user.name},\n\nFollow this link within the next 15 minutes to sign in:\n\n${CLIENT_URL}/magic-link/${token}\n\nThe link works once. If you did not ask for this you can ignore this email.`
+    });
+
+    res.status(200).json({
+      msg
+    });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route     POST api/auth/magic-link/verify
+// @desc      Exchange an emailed sign-in link for tokens
+// @access    Public
+router.post('/magic-link/verify', [
+  magicLinksEnabled,
+  bruteForce([byIP]),
+  check('token', 'Sign-in token is required').not().isEmpty()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      errors: errors.array()
+    });
+  }
+
+  const expired = () =>
+    res.status(400).json({
+      errors: [{
+        msg: 'Sign-in link is invalid or has expired'
+      }]
+    });
+
+  let decoded;
+  try {
+    decoded = jwt.verify(req.body.token, config.JWT_KEY);
+  } catch (err) {
+    decoded = {};
+  }
+  if (!decoded.magicLink) {
+    await req.attempts.fail();
+    return expired();
+  }
+
+  try {
+    // clearing the nonce is what makes the link single-use
+    const { id, email, nonce } = decoded.magicLink;
+    const user = await User.findOneAndUpdate({
+      _id: id,
+      email,
+      magicLinkNonce: nonce
+    }, {
+      $unset: {
+        magicLinkNonce: ''
+      },
+      // getting the mail proves the address
+      $set: {
+        verified: true
+      }
+    }, {
+      new: true
+    });
+    if (!user) {
+      await req.attempts.fail();
+      return expired();
+    }
+
+    // the link stands in for the password, not the second factor
+    if (user.twoFactorEnabled) {
+      return res.status(200).json({
+        msg: 'Two-factor code required',
+        twoFactor: true,
+        challengeToken: signChallengeToken(user)
+      });
+    }
+
+    const tokens = await issueTokens(user, req);
+    await audit(req, 'login', {
+      actor: user.id,
+      meta: { magicLink: true }
+    });
+    res.status(201).json(withTokens(res, tokens, {
+      msg: "Login Successful"
+    }));
   } catch (err) {
     console.error(err.message);
     res.status(500).send('Server error');
@@ -0,0 +1,151 @@
+const express = require('express');
+const router = express.Router();
+const config = require('../../config/config');
+const {
+  check,
+  validationResult
+} = require('express-validator');
+
+const auth = require('../../middleware/auth');
+const { hasPermission, canModify } = require('../../middleware/roles');
+const Invite = require('../../models/Invite');
+const { LIMITS, generateCode, usable } = require('../../utils/invites');
+const { audit } = require('../../utils/audit');
+
+const CLIENT_URL = config.clientURL || 'http://localhost:3000';
+
+// @route     GET api/invites
+// @desc      List the invites I created, admins can ask for ?all=true
+// @access    Private
+router.get('/', auth, async (req, res) => {
+  const all = req.query.all === 'true' && hasPermission(req.user, 'invites:manage');
+
+  try {
+    const invites = await Invite.find(all ? {} : {
+      creator: req.user.id
+    }).populate('creator', ['name']).sort({
+      date: -1
+    });
+    res.status(200).json(invites);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route     POST api/invites
+// @desc      Create an invite code, members are limited by the invite quota
+// @access    Private
+router.post('/', [auth, auth.requireVerified, [
+  check('email', 'Please include a valid email').optional({ checkFalsy: true }).isEmail(),
+  check('maxUses', 'Max uses must be a number').optional({ checkFalsy: true }).isInt({
+    min: 1,
+    max: 1000
+  }),
+  check('expiresInDays', 'Expiry must be a number of days').optional({ checkFalsy: true }).isInt({
+    min: 1,
+    max: 365
+  })
+]], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      errors: errors.array()
+    });
+  }
+
+  const admin = hasPermission(req.user, 'invites:manage');
+  const email = req.body.email || undefined;
+  const maxUses = parseInt(req.body.maxUses, 10) || 1;
+  const days = parseInt(req.body.expiresInDays, 10) || LIMITS.days;
+
+  if (!admin && (maxUses > LIMITS.maxUses || days > LIMITS.days)) {
+    return res.status(400).json({
+      errors: [{
+        msg: `Invites can have at most ${LIMITS.maxUses} uses and last ${LIMITS.days} days`
+      }]
+    });
+  }
+
+  try {
+    if (!admin) {
+      const count = await Invite.countDocuments({
+        creator: req.user.id,
+        ...usable()
+      });
+      if (count >= LIMITS.quota) {
+        return res.status(400).json({
+          errors: [{
+            msg: `You can have at most ${LIMITS.quota} open invites`
+          }]
+        });
+      }
+    }
+
+    const invite = new Invite({
+      code: generateCode(),
+      creator: req.user.id,
+      email,
+      maxUses,
+      expires: new Date(Date.now() + days * 24 * 60 * 60 * 1000)
+    });
+    await invite.save();
+    await audit(req, 'invite.created', {
+      target: {
+        kind: 'invite',
+        id: invite.id
+      },
+      meta: { email, maxUses }
+    });
+
+    // ready to share, the register page fills the code in
+    res.status(201).json({
+      ...invite.toObject(),
+      link: `${CLIENT_URL}/register?invite=${invite.code}`
+    });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route     DELETE api/invites/:id
+// @desc      Revoke an invite, admins can revoke anyone's
+// @access    Private
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const invite = await Invite.findById(req.params.id);
+    if (!invite) {
+      return res.status(404).json({
+        msg: 'Invite not found'
+      });
+    }
+    if (!canModify(req.user, invite.creator, 'invites:manage')) {
+      return res.status(401).json({
+        msg: 'User not authorized'
+      });
+    }
+
+    invite.revoked = Date.now();
+    await invite.save();
+    await audit(req, 'invite.revoked', {
+      target: {
+        kind: 'invite',
+        id: invite.id
+      }
+    });
+    res.status(200).json({
+      msg: 'Invite revoked'
+    });
+  } catch (err) {
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({
+        msg: 'Invite not found'
+      });
+    }
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+module.exports = router;
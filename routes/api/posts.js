@@ -9,11 +9,18 @@ const Post = require('../../models/Post');
 const Profile = require('../../models/Profile');
 const User = require('../../models/User');
 const auth = require('../../middleware/auth');
+const { canModify } = require('../../middleware/roles');
+const { audit } = require('../../utils/audit');
+const { isBlockedBy, hiddenUsers } = require('../../utils/relationships');
+
+const blockedMessage = {
+  msg: 'You cannot interact with this post'
+};
 
 // @route     POST api/posts
 // @desc      Create a post
 // @access    Private
-router.post('/', [auth, [
+router.post('/', [auth.scope('posts:write'), auth.requireVerified, [
   check('text', 'Text is required').not().isEmpty()
 ]], async (req, res) => {
   const errors = validationResult(req);
@@ -44,11 +51,23 @@ router.post('/', [auth, [
 // @route     GET api/posts
 // @desc      Get all posts
 // @access    Private
-router.get('/', auth, async (req, res) => {
+router.get('/', auth.scope('posts:read'), async (req, res) => {
   try {
-    const posts = await Post.find().sort({
+    // leave out what muted and blocked users wrote
+    const hidden = await hiddenUsers(req.user.id);
+    const posts = await Post.find({
+      user: {
+        $nin: hidden
+      }
+    }).sort({
       date: -1
     });
+    if (hidden.length) {
+      posts.forEach(post => {
+        post.comments = post.comments.filter(comment =>
+          !comment.user || !hidden.includes(comment.user.toString()));
+      });
+    }
     res.status(200).json(posts);
   } catch (err) {
     console.error(err.message);
@@ -59,7 +78,7 @@ router.get('/', auth, async (req, res) => {
 // @route     GET api/posts/:id
 // @desc      Get post by id
 // @access    Private
-router.get('/:id', auth, async (req, res) => {
+router.get('/:id', auth.scope('posts:read'), async (req, res) => {
   try {
     const post = await Post.findById(req.params.id);
     if (!post) {
@@ -82,7 +101,7 @@ router.get('/:id', auth, async (req, res) => {
 // @route     DELETE api/posts/:id
 // @desc      DELETE post by id
 // @access    Private
-router.delete('/:id', auth, async (req, res) => {
+router.delete('/:id', auth.scope('posts:write'), async (req, res) => {
   try {
     const post = await Post.findById(req.params.id);
     if (!post) {
@@ -91,13 +110,23 @@ router.delete('/:id', auth, async (req, res) => {
       });
     }
 
-    // check if post belongs to user
-    if (post.user.toString() !== req.user.id) {
+    // check if post belongs to user or user is a moderator
+    if (!canModify(req.user, post.user, 'posts:moderate')) {
       return res.status(401).json({
         msg: 'User not authorized'
       });
     } else {
       await post.remove();
+      await audit(req, 'post.removed', {
+        target: {
+          kind: 'post',
+          id: post.id
+        },
+        meta: {
+          author: post.user,
+          moderated: String(post.user) !== req.user.id
+        }
+      });
       res.status(200).json({
         msg: 'Post removed'
       });
@@ -116,7 +145,7 @@ router.delete('/:id', auth, async (req, res) => {
 // @route     PUT api/posts/like/:id
 // @desc      Like a post
 // @access    Private
-router.put('/like/:id', auth, async (req, res) => {
+router.put('/like/:id', auth.scope('posts:write'), async (req, res) => {
   try {
     const post = await Post.findById(req.params.id);
     if (!post) {
@@ -124,6 +153,9 @@ router.put('/like/:id', auth, async (req, res) => {
         msg: 'Post not found'
       });
     }
+    if (await isBlockedBy(post.user, req.user.id)) {
+      return res.status(403).json(blockedMessage);
+    }
     // check if the post has already been liked
     if (post.likes.filter(like => like.user.toString() === req.user.id).length > 0) {
       return res.status(400).json({
@@ -151,7 +183,7 @@ router.put('/like/:id', auth, async (req, res) => {
 // @route     PUT api/posts/unlike/:id
 // @desc      Unlike a post
 // @access    Private
-router.put('/unlike/:id', auth, async (req, res) => {
+router.put('/unlike/:id', auth.scope('posts:write'), async (req, res) => {
   try {
     const post = await Post.findById(req.params.id);
     if (!post) {
@@ -186,7 +218,7 @@ router.put('/unlike/:id', auth, async (req, res) => {
 // @route     POST api/posts
 // @desc      Create a post
 // @access    Private
-router.post('/', [auth, [
+router.post('/', [auth.scope('posts:write'), auth.requireVerified, [
   check('text', 'Text is required').not().isEmpty()
 ]], async (req, res) => {
   const errors = validationResult(req);
@@ -217,7 +249,7 @@ router.post('/', [auth, [
 // @route     POST api/posts/comment/:id
 // @desc      Comment on a post
 // @access    Private
-router.post('/comment/:id', [auth, [
+router.post('/comment/:id', [auth.scope('posts:write'), auth.requireVerified, [
   check('text', 'Text is required').not().isEmpty()
 ]], async (req, res) => {
   const errors = validationResult(req);
@@ -231,6 +263,14 @@ router.post('/comment/:id', [auth, [
   try {
     const user = await User.findById(req.user.id).select('-password');
     const post = await Post.findById(req.params.id);
+    if (!post) {
+      return res.status(404).json({
+        msg: 'Post not found'
+      });
+    }
+    if (await isBlockedBy(post.user, req.user.id)) {
+      return res.status(403).json(blockedMessage);
+    }
 
     const newComment = {
       text: req.body.text,
@@ -251,7 +291,7 @@ router.post('/comment/:id', [auth, [
 // @route     POST api/posts/comment/:id/:comm_id
 // @desc      Delete comment
 // @access    Private
-router.delete('/comment/:id/:comm_id', auth, async (req, res) => {
+router.delete('/comment/:id/:comm_id', auth.scope('posts:write'), async (req, res) => {
   try {
     const post = await Post.findById(req.params.id);
     if (!post) {
@@ -264,13 +304,24 @@ router.delete('/comment/:id/:comm_id', auth, async (req, res) => {
     const removeIndex = post.comments.map(comment => comment.id.toString()).indexOf(req.params.comm_id);
 
     if (removeIndex >= 0) {
-      if (post.comments[removeIndex].user.toString() !== req.user.id) {
+      if (!canModify(req.user, post.comments[removeIndex].user, 'comments:moderate')) {
         return res.status(401).json({
           msg: 'User not authorized'
         });
       }
-      post.comments.splice(removeIndex, 1);
+      const [comment] = post.comments.splice(removeIndex, 1);
       await post.save();
+      await audit(req, 'comment.removed', {
+        target: {
+          kind: 'comment',
+          id: comment.id
+        },
+        meta: {
+          post: post.id,
+          author: comment.user,
+          moderated: String(comment.user) !== req.user.id
+        }
+      });
     } else {
       return res.status(400).json({
         msg: 'Comment does not exist'
@@ -1,18 +1,26 @@
 const express = require('express');
 const router = express.Router();
+const mongoose = require('mongoose');
 const request = require('request');
 const config = require('../../config/config');
 const auth = require('../../middleware/auth');
-const { check, validationResult } = require('express-validator');
+const { requirePermission } = require('../../middleware/roles');
+const github = require('../../utils/github');
+const { revokeUserTokens } = require('../../utils/tokens');
+const { gracePeriodEnd, purgeAccount } = require('../../utils/accountDeletion');
+const { audit, userTarget } = require('../../utils/audit');
+const { handleKey, validateHandle } = require('../../utils/handles');
+const { isBlockedBy, blockedBy } = require('../../utils/relationships');
+const { LEVELS, SECTIONS, serializeProfile, visibleTo } = require('../../utils/profilePrivacy');
+const { check, query, validationResult } = require('express-validator');
 
 const Profile = require('../../models/Profile');
 const User = require('../../models/User');
-const Post = require('../../models/Post');
 
 // @route     GET api/profile/me
 // @desc      Get current user profile
 // @access    Private
-router.get('/me', auth, async (req, res) => {
+router.get('/me', auth.scope('profile:read'), async (req, res) => {
   try {
     const profile = await Profile.findOne({
       user: req.user.id
@@ -33,18 +41,21 @@ router.get('/me', auth, async (req, res) => {
 // @route     GET api/profile/user/:user_id
 // @desc      Get profile by user ID
 // @access    Public
-router.get('/user/:id', async (req, res) => {
+router.get('/user/:id', auth.optional('profile:read'), async (req, res) => {
   try {
     const profile = await Profile.findOne({
       user: req.params.id
     }).populate('user', ['name', 'avatar']);
 
-    if (!profile) {
+    // accounts waiting to be deleted are already hidden, as are profiles
+    // from anyone who blocked the viewer
+    if (!profile || await User.exists({ _id: req.params.id, deleteAfter: { $ne: null } }) ||
+      (req.user && await isBlockedBy(req.params.id, req.user.id))) {
       return res.status(400).json({
         msg: 'User profile not found!'
       });
     }
-    res.status(200).json(profile);
+    res.status(200).json(serializeProfile(profile, req.user));
   } catch (err) {
     console.error(err.message);
     if (err.kind === 'ObjectId') {
@@ -56,13 +67,186 @@ router.get('/user/:id', async (req, res) => {
   }
 });
 
+// @route     GET api/profile/handle/:handle
+// @desc      Get profile by handle, redirecting handles that were renamed
+// @access    Public
+router.get('/handle/:handle', auth.optional('profile:read'), async (req, res) => {
+  if (validateHandle(req.params.handle)) {
+    return res.status(400).json({
+      msg: 'User profile not found!'
+    });
+  }
+  const key = handleKey(req.params.handle);
+
+  try {
+    const profile = await Profile.findOne({
+      handleKey: key
+    }).populate('user', ['name', 'avatar']);
+
+    if (!profile) {
+      // not permanent, the old handle may be claimed again later
+      const renamed = await Profile.findOne({
+        previousHandles: key
+      }).select('handle');
+      if (renamed) {
+        return res.redirect(302, `${req.baseUrl}/handle/${renamed.handle}`);
+      }
+    }
+
+    if (!profile || !profile.user || await User.exists({ _id: profile.user._id, deleteAfter: { $ne: null } }) ||
+      (req.user && await isBlockedBy(profile.user._id, req.user.id))) {
+      return res.status(400).json({
+        msg: 'User profile not found!'
+      });
+    }
+    res.status(200).json(serializeProfile(profile, req.user));
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+const escapeRegExp = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// case-insensitive "contains" match, or whole value when exact
+const like = (text, exact) =>
+  new RegExp(exact ? `^${escapeRegExp(text.trim())}$` : escapeRegExp(text.trim()), 'i');
+
+const PROFILE_SORTS = {
+  newest: { date: -1, _id: -1 },
+  oldest: { date: 1, _id: 1 },
+  name: { 'user.name': 1, _id: 1 }
+};
+
 // @route     GET api/profile
-// @desc      Get all profiles
+// @desc      Search profiles: q, skills (comma separated, skillsMatch all|any),
+//            location, status, company, hasGithub, sort, page & limit
 // @access    Public
-router.get('/', async (req, res) => {
+router.get('/', [auth.optional('profile:read'), [
+  query(['q', 'skills', 'location', 'status', 'company'], 'Search terms must be text')
+    .optional()
+    .isString(),
+  query('skillsMatch', 'Skills match must be all or any').optional().isIn(['all', 'any']),
+  query('hasGithub', 'Has GitHub must be true or false').optional().isBoolean(),
+  query('sort', `Sort must be one of ${Object.keys(PROFILE_SORTS).join(', ')}`)
+    .optional()
+    .isIn(Object.keys(PROFILE_SORTS)),
+  query('page', 'Page must be a positive number').optional().isInt({ min: 1 }),
+  query('limit', 'Limit must be between 1 and 100').optional().isInt({ min: 1, max: 100 })
+]], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      errors: errors.array()
+    });
+  }
+
+  const {
+    q,
+    skills,
+    skillsMatch = 'all',
+    location,
+    status,
+    company,
+    hasGithub,
+    sort = 'newest'
+  } = req.query;
+  const page = parseInt(req.query.page, 10) || 1;
+  const limit = parseInt(req.query.limit, 10) || 20;
+
   try {
-    const profiles = await Profile.find().populate('user', ['name', 'avatar']);
-    res.status(200).json(profiles);
+    const deleting = await User.find({
+      deleteAfter: {
+        $ne: null
+      }
+    }).distinct('_id');
+    const blocking = req.user ? await blockedBy(req.user.id) : [];
+
+    // build filter
+    const filter = {
+      user: {
+        $nin: [...deleting, ...blocking.map(id => mongoose.Types.ObjectId(id))]
+      },
+      'privacy.hidden': {
+        $ne: true
+      }
+    };
+    // filtering on a hidden section would give it away
+    const visible = [];
+    if (skills) {
+      const wanted = skills.split(',').filter(skill => skill.trim()).map(skill => like(skill, true));
+      if (wanted.length) {
+        filter.skills = skillsMatch === 'any' ? { $in: wanted } : { $all: wanted };
+      }
+    }
+    if (location) {
+      filter.location = like(location);
+      visible.push(visibleTo('location', req.user));
+    }
+    if (status) filter.status = like(status, true);
+    if (company) {
+      filter.company = like(company);
+      visible.push(visibleTo('company', req.user));
+    }
+    if (hasGithub !== undefined) {
+      filter.githubusername = hasGithub === 'true' ? { $nin: [null, ''] } : { $in: [null, ''] };
+      visible.push(visibleTo('github', req.user));
+    }
+    if (visible.length) filter.$and = visible;
+
+    const pipeline = [
+      { $match: filter },
+      // only what the populate used to expose; projected inside the lookup,
+      // $addFields would merge into the whole user document instead
+      {
+        $lookup: {
+          from: User.collection.name,
+          let: { user: '$user' },
+          pipeline: [
+            { $match: { $expr: { $eq: ['$_id', '$$user'] } } },
+            { $project: { name: 1, avatar: 1 } }
+          ],
+          as: 'user'
+        }
+      },
+      { $unwind: '$user' }
+    ];
+    if (q) {
+      const text = like(q);
+      pipeline.push({
+        $match: {
+          $or: [
+            { 'user.name': text },
+            { handle: text },
+            { status: text },
+            { company: text, ...visibleTo('company', req.user) },
+            { location: text, ...visibleTo('location', req.user) },
+            { skills: text },
+            { bio: text, ...visibleTo('bio', req.user) }
+          ]
+        }
+      });
+    }
+    pipeline.push(
+      { $sort: PROFILE_SORTS[sort] },
+      {
+        $facet: {
+          profiles: [{ $skip: (page - 1) * limit }, { $limit: limit }],
+          total: [{ $count: 'count' }]
+        }
+      }
+    );
+
+    const [{ profiles, total: [counted] }] = await Profile.aggregate(pipeline);
+    const total = counted ? counted.count : 0;
+
+    res.status(200).json({
+      profiles: profiles.map(profile => serializeProfile(profile, req.user)),
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      limit
+    });
   } catch (err) {
     console.error(err.message);
     res.status(500).send('Server Error');
@@ -75,14 +259,21 @@ router.get('/', async (req, res) => {
 router.post(
   '/',
   [
-    auth,
+    auth.scope('profile:write'),
     [
       check('status', 'Status is required')
         .not()
         .isEmpty(),
       check('skills', 'Skills are required')
         .not()
-        .isEmpty()
+        .isEmpty(),
+      check('handle')
+        .optional({ checkFalsy: true })
+        .custom(handle => {
+          const error = validateHandle(handle);
+          if (error) throw new Error(error);
+          return true;
+        })
     ]
   ],
   async (req, res) => {
@@ -99,6 +290,7 @@ router.post(
       location,
       bio,
       status,
+      handle,
       githubusername,
       skills,
       youtube,
@@ -133,6 +325,32 @@ router.post(
       let profile = await Profile.findOne({
         user: req.user.id
       });
+
+      if (handle && (!profile || profile.handleKey !== handleKey(handle))) {
+        const key = handleKey(handle);
+        if (await Profile.exists({ handleKey: key })) {
+          return res.status(400).json({
+            errors: [{ msg: 'That handle is already taken' }]
+          });
+        }
+        profileFields.handle = handle.trim();
+        profileFields.handleKey = key;
+
+        // keep the old handle pointing here, unless this is a reclaim
+        const previous = profile ? profile.previousHandles.filter(h => h !== key) : [];
+        if (profile && profile.handleKey) previous.push(profile.handleKey);
+        profileFields.previousHandles = previous;
+
+        // a fresh claim wins over anyone else's redirect
+        await Profile.updateMany({
+          previousHandles: key
+        }, {
+          $pull: {
+            previousHandles: key
+          }
+        });
+      }
+
       if (profile) {
         // update profile
         profile = await Profile.findOneAndUpdate(
@@ -149,10 +367,77 @@ router.post(
         return res.status(200).json(profile);
       }
 
+      // fall back to the GitHub account the user signed in with
+      if (!profileFields.githubusername) {
+        const user = await User.findById(req.user.id);
+        if (user.github && user.github.username) {
+          profileFields.githubusername = user.github.username;
+        }
+      }
+
       // create new profile
       profile = new Profile(profileFields);
       await profile.save();
       res.status(200).json(profile);
+    } catch (err) {
+      // lost a race for the same handle
+      if (err.code === 11000) {
+        return res.status(400).json({
+          errors: [{ msg: 'That handle is already taken' }]
+        });
+      }
+      console.error(err.message);
+      res.status(500).send('Server Error');
+    }
+  }
+);
+
+// @route     PUT api/profile/privacy
+// @desc      Set who may see each profile section, and whether the profile
+//            is listed in the directory
+// @access    Private
+router.put(
+  '/privacy',
+  [
+    auth.scope('profile:write'),
+    [
+      check(
+        Object.keys(SECTIONS),
+        `Visibility must be one of ${LEVELS.join(', ')}`
+      )
+        .optional()
+        .isIn(LEVELS),
+      check('hidden', 'Hidden must be true or false')
+        .optional()
+        .isBoolean()
+    ]
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        errors: errors.array()
+      });
+    }
+
+    try {
+      const profile = await Profile.findOne({
+        user: req.user.id
+      });
+      if (!profile) {
+        return res.status(404).json({ msg: 'Profile not found' });
+      }
+
+      Object.keys(SECTIONS)
+        .filter(section => req.body[section] !== undefined)
+        .forEach(section => {
+          profile.privacy[section] = req.body[section];
+        });
+      if (req.body.hidden !== undefined) {
+        profile.privacy.hidden = String(req.body.hidden) === 'true';
+      }
+      await profile.save();
+      res.status(200).json(profile);
     } catch (err) {
       console.error(err.message);
       res.status(500).send('Server Error');
@@ -161,49 +446,147 @@ router.post(
 );
 
 // @route     DELETE api/profile/
-// @desc      Delete profile, user & posts
+// @desc      Schedule deletion of profile, user & posts after the grace period
 // @access    Private
 router.delete('/', auth, async (req, res) => {
   try {
-    // remove users posts
-    await Post.deleteMany({ user: req.user.id });
+    const deleteAfter = gracePeriodEnd();
+    await User.updateOne({
+      _id: req.user.id
+    }, {
+      $set: {
+        deleteAfter
+      }
+    });
+    await revokeUserTokens(req.user.id);
+    await audit(req, 'account.deletion_scheduled', {
+      target: userTarget(req.user.id),
+      meta: { deleteAfter }
+    });
 
-    // remove profile
-    await Profile.findOneAndRemove({
-      user: req.user.id
+    res.status(200).json({
+      msg: 'User scheduled for deletion',
+      deleteAfter
     });
-    // remove user
-    await User.findOneAndRemove({
-      _id: req.user.id
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route     POST api/profile/restore
+// @desc      Cancel a scheduled account deletion
+// @access    Private
+router.post('/restore', auth.allowDeleting, async (req, res) => {
+  try {
+    const user = await User.findOneAndUpdate({
+      _id: req.user.id,
+      deleteAfter: {
+        $ne: null
+      }
+    }, {
+      $unset: {
+        deleteAfter: ''
+      }
+    });
+    if (!user) {
+      return res.status(400).json({
+        msg: 'Account is not scheduled for deletion'
+      });
+    }
+
+    await audit(req, 'account.restored', {
+      target: userTarget(req.user.id)
+    });
+
+    res.status(200).json({
+      msg: 'Account restored'
+    });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route     DELETE api/profile/user/:id
+// @desc      Delete any user's profile, user & posts straight away
+// @access    Admin
+router.delete('/user/:id', [auth, requirePermission('users:manage')], async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({
+        msg: 'User not found'
+      });
+    }
+
+    await purgeAccount(user.id);
+    await audit(req, 'account.deleted', {
+      target: userTarget(user.id),
+      meta: { email: user.email }
     });
     res.status(200).json({
       msg: 'User deleted'
     });
   } catch (err) {
     console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({
+        msg: 'User not found'
+      });
+    }
     res.status(500).send('Server Error');
   }
 });
 
+const EXPERIENCE_FIELDS = ['company', 'title', 'location', 'from', 'to', 'current', 'description'];
+const EDUCATION_FIELDS = ['school', 'degree', 'fieldofstudy', 'from', 'to', 'current', 'description'];
+
+// copy the fields sent in the body onto an entry, the ones left out keep
+// their stored values
+const updateEntry = (entry, body, fields) => {
+  fields
+    .filter(field => body[field] !== undefined)
+    .forEach(field => entry.set(field, body[field]));
+  // a current entry has no end date
+  if (entry.current) entry.set('to', null);
+};
+
+// shared by the add and update routes for experience entries
+const experienceChecks = [
+  check('title', 'Title is required')
+    .not()
+    .isEmpty(),
+  check('company', 'Company is required')
+    .not()
+    .isEmpty(),
+  check('from', 'From date is required')
+    .not()
+    .isEmpty()
+];
+
+// shared by the add and update routes for education entries
+const educationChecks = [
+  check('school', 'School is required')
+    .not()
+    .isEmpty(),
+  check('degree', 'Degree is required')
+    .not()
+    .isEmpty(),
+  check('fieldofstudy', 'Field of study is required')
+    .not()
+    .isEmpty(),
+  check('from', 'From date is required')
+    .not()
+    .isEmpty()
+];
+
 // @route     PUT api/profile/experience
 // @desc      Add profile experience
 // @access    Private
 router.put(
   '/experience',
-  [
-    auth,
-    [
-      check('title', 'Title is required')
-        .not()
-        .isEmpty(),
-      check('company', 'Company is required')
-        .not()
-        .isEmpty(),
-      check('from', 'From date is required')
-        .not()
-        .isEmpty()
-    ]
-  ],
+  [auth.scope('profile:write'), experienceChecks],
   async (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -248,10 +631,47 @@ router.put(
   }
 );
 
+// @route     PUT api/profile/experience/:exp_id
+// @desc      Update a single experience entry
+// @access    Private
+router.put(
+  '/experience/:exp_id',
+  [auth.scope('profile:write'), experienceChecks],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        errors: errors.array()
+      });
+    }
+
+    try {
+      const profile = await Profile.findOne({
+        user: req.user.id
+      });
+      const exp =
+        profile && mongoose.Types.ObjectId.isValid(req.params.exp_id)
+          ? profile.experience.id(req.params.exp_id)
+          : null;
+
+      if (!exp) {
+        return res.status(404).json({ msg: 'Experience not found' });
+      }
+
+      updateEntry(exp, req.body, EXPERIENCE_FIELDS);
+      await profile.save();
+      res.status(200).json(profile);
+    } catch (err) {
+      console.error(err.message);
+      res.status(500).send('Server Error');
+    }
+  }
+);
+
 // @route     DELETE api/profile/experience/:exp_id
 // @desc      Delete experience from profile
 // @access    Private
-router.delete('/experience/:exp_id', auth, async (req, res) => {
+router.delete('/experience/:exp_id', auth.scope('profile:write'), async (req, res) => {
   try {
     const profile = await Profile.findOne({
       user: req.user.id
@@ -279,23 +699,7 @@ router.delete('/experience/:exp_id', auth, async (req, res) => {
 // @access    Private
 router.put(
   '/education',
-  [
-    auth,
-    [
-      check('school', 'School is required')
-        .not()
-        .isEmpty(),
-      check('degree', 'Degree is required')
-        .not()
-        .isEmpty(),
-      check('fieldofstudy', 'Field of study is required')
-        .not()
-        .isEmpty(),
-      check('from', 'From date is required')
-        .not()
-        .isEmpty()
-    ]
-  ],
+  [auth.scope('profile:write'), educationChecks],
   async (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -340,10 +744,47 @@ router.put(
   }
 );
 
+// @route     PUT api/profile/education/:edu_id
+// @desc      Update a single education entry
+// @access    Private
+router.put(
+  '/education/:edu_id',
+  [auth.scope('profile:write'), educationChecks],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        errors: errors.array()
+      });
+    }
+
+    try {
+      const profile = await Profile.findOne({
+        user: req.user.id
+      });
+      const edu =
+        profile && mongoose.Types.ObjectId.isValid(req.params.edu_id)
+          ? profile.education.id(req.params.edu_id)
+          : null;
+
+      if (!edu) {
+        return res.status(404).json({ msg: 'Education not found' });
+      }
+
+      updateEntry(edu, req.body, EDUCATION_FIELDS);
+      await profile.save();
+      res.status(200).json(profile);
+    } catch (err) {
+      console.error(err.message);
+      res.status(500).send('Server Error');
+    }
+  }
+);
+
 // @route     DELETE api/profile/education/:exp_id
 // @desc      Delete education from profile
 // @access    Private
-router.delete('/education/:edu_id', auth, async (req, res) => {
+router.delete('/education/:edu_id', auth.scope('profile:write'), async (req, res) => {
   try {
     const profile = await Profile.findOne({
       user: req.user.id
@@ -366,13 +807,106 @@ router.delete('/education/:edu_id', auth, async (req, res) => {
   }
 });
 
+const ORDERED_SECTIONS = ['experience', 'education'];
+
+// @route     PUT api/profile/order/:section
+// @desc      Put experience or education entries in a manual order
+// @access    Private
+router.put(
+  '/order/:section',
+  [
+    auth.scope('profile:write'),
+    [
+      check('section', 'Unknown section').isIn(ORDERED_SECTIONS),
+      check('order', 'Order must be a list of entry ids').isArray()
+    ]
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        errors: errors.array()
+      });
+    }
+
+    const { section } = req.params;
+    const order = req.body.order.map(String);
+
+    try {
+      const profile = await Profile.findOne({
+        user: req.user.id
+      });
+      if (!profile) {
+        return res.status(404).json({ msg: 'Profile not found' });
+      }
+
+      // the order has to name every entry exactly once
+      const entries = profile[section];
+      const ids = entries.map(item => item.id);
+      if (
+        order.length !== ids.length ||
+        new Set(order).size !== order.length ||
+        !order.every(id => ids.includes(id))
+      ) {
+        return res.status(400).json({
+          errors: [{ msg: 'Order must list each entry exactly once' }]
+        });
+      }
+
+      const byId = new Map(entries.map(item => [item.id, item]));
+      profile.set(section, order.map(id => byId.get(id).toObject()));
+      profile.manualOrder[section] = true;
+      await profile.save();
+      res.status(200).json(profile);
+    } catch (err) {
+      console.error(err.message);
+      res.status(500).send('Server Error');
+    }
+  }
+);
+
+// @route     DELETE api/profile/order/:section
+// @desc      Go back to sorting experience or education by date
+// @access    Private
+router.delete(
+  '/order/:section',
+  [
+    auth.scope('profile:write'),
+    [check('section', 'Unknown section').isIn(ORDERED_SECTIONS)]
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        errors: errors.array()
+      });
+    }
+
+    try {
+      const profile = await Profile.findOne({
+        user: req.user.id
+      });
+      if (!profile) {
+        return res.status(404).json({ msg: 'Profile not found' });
+      }
+
+      profile.manualOrder[req.params.section] = false;
+      await profile.save();
+      res.status(200).json(profile);
+    } catch (err) {
+      console.error(err.message);
+      res.status(500).send('Server Error');
+    }
+  }
+);
+
 // @route     GET api/profile/github/:username
 // @desc      GET user repos from Github
 // @access    Public
 router.get('/github/:username', async (req, res) => {
   try {
     const options = {
-      uri: `https://api.github.com/users/${req.params.username}/repos?per_page=5&sort=created:asc&client_id=${config.githubid}&client_secret=${config.githubsecret}`,
+      uri: `${github.GITHUB.apiURL}/users/${req.params.username}/repos?per_page=5&sort=created:asc&client_id=${config.githubid}&client_secret=${config.githubsecret}`,
       method: 'GET',
       headers: {
         'user-agent': 'node.js'
@@ -0,0 +1,82 @@
+const express = require('express');
+const router = express.Router();
+
+const auth = require('../../middleware/auth');
+const User = require('../../models/User');
+
+// @route     GET api/relationships
+// @desc      Get the users the current user has blocked or muted
+// @access    Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id)
+      .select('+blocked +muted')
+      .populate('blocked', ['name', 'avatar'])
+      .populate('muted', ['name', 'avatar']);
+
+    res.status(200).json({
+      blocked: user.blocked,
+      muted: user.muted
+    });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+// add to or remove from one of the lists, answering with the list's ids
+const update = (list, add) => async (req, res) => {
+  if (add && req.params.user_id === req.user.id) {
+    return res.status(400).json({
+      msg: `You cannot ${list === 'blocked' ? 'block' : 'mute'} yourself`
+    });
+  }
+
+  try {
+    if (add && !(await User.exists({ _id: req.params.user_id }))) {
+      return res.status(404).json({
+        msg: 'User not found'
+      });
+    }
+
+    const user = await User.findByIdAndUpdate(req.user.id, {
+      [add ? '$addToSet' : '$pull']: {
+        [list]: req.params.user_id
+      }
+    }, {
+      new: true
+    }).select(`+${list}`);
+
+    res.status(200).json(user[list]);
+  } catch (err) {
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({
+        msg: 'User not found'
+      });
+    }
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+};
+
+// @route     PUT api/relationships/block/:user_id
+// @desc      Block a user from commenting on or liking my posts and viewing my profile
+// @access    Private
+router.put('/block/:user_id', auth, update('blocked', true));
+
+// @route     DELETE api/relationships/block/:user_id
+// @desc      Unblock a user
+// @access    Private
+router.delete('/block/:user_id', auth, update('blocked', false));
+
+// @route     PUT api/relationships/mute/:user_id
+// @desc      Hide a user's posts and comments from my feed
+// @access    Private
+router.put('/mute/:user_id', auth, update('muted', true));
+
+// @route     DELETE api/relationships/mute/:user_id
+// @desc      Unmute a user
+// @access    Private
+router.delete('/mute/:user_id', auth, update('muted', false));
+
+module.exports = router;
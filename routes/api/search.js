@@ -0,0 +1,198 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const {
+  query,
+  validationResult
+} = require('express-validator');
+
+const auth = require('../../middleware/auth');
+const Post = require('../../models/Post');
+const Profile = require('../../models/Profile');
+const User = require('../../models/User');
+const { hiddenUsers, blockedBy } = require('../../utils/relationships');
+const { queryTerms, anyTerm, bestSnippet } = require('../../utils/search');
+const { canSee, visibleTo } = require('../../utils/profilePrivacy');
+
+const TYPES = ['all', 'profiles', 'posts'];
+
+const toObjectIds = ids => ids.map(id => mongoose.Types.ObjectId(id.toString()));
+
+// run a text search on a model, most relevant first
+const textSearch = async (Model, q, filter, { page, limit }) => {
+  const conditions = {
+    $text: {
+      $search: q
+    },
+    ...filter
+  };
+  const [results, total] = await Promise.all([
+    Model.find(conditions, {
+      score: {
+        $meta: 'textScore'
+      }
+    }).sort({
+      score: {
+        $meta: 'textScore'
+      }
+    }).skip((page - 1) * limit).limit(limit),
+    Model.countDocuments(conditions)
+  ]);
+
+  return {
+    results,
+    total,
+    page,
+    pages: Math.ceil(total / limit)
+  };
+};
+
+// sections covered by the profile text index that can be hidden, and the
+// field the index holds for each
+const INDEXED_SECTIONS = {
+  bio: 'bio',
+  company: 'company',
+  experience: 'experience.title'
+};
+
+// a profile keeping an indexed section from the viewer only matches through
+// what they can see, otherwise the result alone would give the section away
+const visibleMatch = (terms, viewer) => {
+  const sections = Object.keys(INDEXED_SECTIONS);
+  const pattern = anyTerm(terms);
+  return {
+    $or: [{
+      $and: sections.map(section => visibleTo(section, viewer))
+    }, ...(pattern ? [{
+      skills: pattern
+    }, ...sections.map(section => ({
+      [INDEXED_SECTIONS[section]]: pattern,
+      ...visibleTo(section, viewer)
+    }))] : [])]
+  };
+};
+
+const searchProfiles = async (req, q, terms, paging) => {
+  const blocking = req.user ? await blockedBy(req.user.id) : [];
+  // only profiles of existing accounts that are not being deleted, so the
+  // total counts the same profiles the results hold
+  const listed = await User.find({
+    _id: {
+      $nin: toObjectIds(blocking)
+    },
+    deleteAfter: null
+  }).distinct('_id');
+
+  const found = await textSearch(Profile, q, {
+    user: {
+      $in: listed
+    },
+    'privacy.hidden': {
+      $ne: true
+    },
+    ...visibleMatch(terms, req.user)
+  }, paging);
+  await Profile.populate(found.results, {
+    path: 'user',
+    select: ['name', 'avatar']
+  });
+
+  return {
+    ...found,
+    results: found.results.map(profile => ({
+      _id: profile._id,
+      user: profile.user,
+      handle: profile.handle,
+      status: profile.status,
+      company: canSee(profile, 'company', req.user) ? profile.company : undefined,
+      score: profile.get('score'),
+      // snippets only come from sections the viewer may see
+      snippet: bestSnippet([
+        { field: 'bio', text: profile.bio },
+        { field: 'skills', text: profile.skills.join(', ') },
+        ...profile.experience.map(exp => ({ field: 'experience', text: exp.title })),
+        { field: 'company', text: profile.company }
+      ].filter(({ field }) => field === 'skills' || canSee(profile, field, req.user)), terms)
+    }))
+  };
+};
+
+const searchPosts = async (req, q, terms, paging) => {
+  const hidden = await hiddenUsers(req.user.id);
+  const found = await textSearch(Post, q, {
+    user: {
+      $nin: toObjectIds(hidden)
+    }
+  }, paging);
+
+  return {
+    ...found,
+    results: found.results.map(post => ({
+      _id: post._id,
+      user: post.user,
+      name: post.name,
+      avatar: post.avatar,
+      date: post.date,
+      score: post.get('score'),
+      snippet: bestSnippet([
+        { field: 'text', text: post.text },
+        // nothing of blocked or muted users shows, their comments included
+        ...post.comments.filter(comment => !hidden.includes(String(comment.user))).map(comment => ({
+          field: 'comment',
+          text: comment.text,
+          comment: comment._id,
+          name: comment.name
+        }))
+      ], terms)
+    }))
+  };
+};
+
+// @route     GET api/search
+// @desc      Full-text search of profiles and posts: q, type (all, profiles,
+//            posts), page & limit; posts are only searched when signed in
+// @access    Public
+router.get('/', [auth.optional('posts:read'), [
+  query('q', 'Please enter something to search for').isString().trim().not().isEmpty(),
+  query('type', `Type must be one of ${TYPES.join(', ')}`).optional().isIn(TYPES),
+  query('page', 'Page must be a positive number').optional().isInt({ min: 1 }),
+  query('limit', 'Limit must be between 1 and 50').optional().isInt({ min: 1, max: 50 })
+]], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      errors: errors.array()
+    });
+  }
+
+  const { q, type = 'all' } = req.query;
+  const paging = {
+    page: parseInt(req.query.page, 10) || 1,
+    limit: parseInt(req.query.limit, 10) || 10
+  };
+  if (type === 'posts' && !req.user) {
+    return res.status(401).json({
+      msg: 'Authorization denied!'
+    });
+  }
+  const terms = queryTerms(q);
+
+  try {
+    const results = {
+      q,
+      type
+    };
+    if (type !== 'posts') {
+      results.profiles = await searchProfiles(req, q, terms, paging);
+    }
+    if (type !== 'profiles' && req.user) {
+      results.posts = await searchPosts(req, q, terms, paging);
+    }
+    res.status(200).json(results);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+module.exports = router;
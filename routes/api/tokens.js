@@ -0,0 +1,145 @@
+const express = require('express');
+const router = express.Router();
+const crypto = require('crypto');
+const {
+  check,
+  validationResult
+} = require('express-validator');
+
+const auth = require('../../middleware/auth');
+const { hasRole } = require('../../middleware/roles');
+const AccessToken = require('../../models/AccessToken');
+const { hashToken } = require('../../utils/tokens');
+const { audit } = require('../../utils/audit');
+
+const MAX_TOKENS = 20;
+
+// @route     GET api/tokens
+// @desc      List the current user's personal access tokens
+// @access    Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const tokens = await AccessToken.find({
+      user: req.user.id
+    }).sort({
+      date: -1
+    });
+    res.status(200).json(tokens);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route     POST api/tokens
+// @desc      Create a personal access token, the token is only returned here
+// @access    Private
+router.post('/', [auth, [
+  check('name', 'Name is required').not().isEmpty(),
+  check('scopes', 'Choose at least one scope').isArray({ min: 1 }),
+  check('scopes.*', `Scopes must be one of ${auth.SCOPES.join(', ')}`).isIn(auth.SCOPES),
+  check('expiresInDays', 'Expiry must be a number of days').optional({ checkFalsy: true }).isInt({
+    min: 1,
+    max: 365
+  })
+]], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      errors: errors.array()
+    });
+  }
+
+  const {
+    name,
+    scopes,
+    expiresInDays
+  } = req.body;
+
+  if (scopes.includes('admin') && !hasRole(req.user, 'moderator', 'admin')) {
+    return res.status(400).json({
+      errors: [{
+        msg: 'Only moderators and admins can create admin tokens'
+      }]
+    });
+  }
+
+  try {
+    const count = await AccessToken.countDocuments({
+      user: req.user.id
+    });
+    if (count >= MAX_TOKENS) {
+      return res.status(400).json({
+        errors: [{
+          msg: `You can have at most ${MAX_TOKENS} tokens`
+        }]
+      });
+    }
+
+    const token = `${auth.TOKEN_PREFIX}${crypto.randomBytes(20).toString('hex')}`;
+    const accessToken = new AccessToken({
+      user: req.user.id,
+      name,
+      token: hashToken(token),
+      hint: token.slice(0, auth.TOKEN_PREFIX.length + 4),
+      scopes: [...new Set(scopes)],
+      expires: expiresInDays ?
+        new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000) : undefined
+    });
+    await accessToken.save();
+    await audit(req, 'token.created', {
+      target: {
+        kind: 'token',
+        id: accessToken.id
+      },
+      meta: { name, scopes: accessToken.scopes }
+    });
+
+    const result = accessToken.toObject();
+    delete result.token;
+    res.status(201).json({
+      ...result,
+      token
+    });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route     DELETE api/tokens/:id
+// @desc      Revoke a personal access token
+// @access    Private
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const accessToken = await AccessToken.findOneAndDelete({
+      _id: req.params.id,
+      user: req.user.id
+    });
+    if (!accessToken) {
+      return res.status(404).json({
+        msg: 'Token not found'
+      });
+    }
+    await audit(req, 'token.revoked', {
+      target: {
+        kind: 'token',
+        id: accessToken.id
+      },
+      meta: { name: accessToken.name }
+    });
+    res.status(200).json({
+      msg: 'Token revoked'
+    });
+  } catch (err) {
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({
+        msg: 'Token not found'
+      });
+    }
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+module.exports = router;
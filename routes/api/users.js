@@ -2,6 +2,8 @@ const express = require('express');
 const router = express.Router();
 const gravatar = require('gravatar');
 const bcrypt = require('bcryptjs');
+const archiver = require('archiver');
+const multer = require('multer');
 const jwt = require('jsonwebtoken');
 const config = require('../../config/config');
 const {
@@ -9,32 +11,97 @@ const {
   validationResult
 } = require('express-validator');
 
+const auth = require('../../middleware/auth');
+const { ROLES, requirePermission } = require('../../middleware/roles');
+const { bruteForce, byRegistrationIP } = require('../../middleware/bruteForce');
 const User = require('../../models/User');
+const { issueTokens, revokeUserTokens } = require('../../utils/tokens');
+const { withTokens } = require('../../utils/authCookies');
+const { sendMail } = require('../../utils/mailer');
+const { sendPasswordReset } = require('../../utils/passwordReset');
+const { buildExport, renderHTML } = require('../../utils/exportData');
+const { audit, userTarget } = require('../../utils/audit');
+const { checkPassword } = require('../../utils/passwordPolicy');
+const {
+  INVITE_ONLY,
+  redeemInvite,
+  releaseInvite
+} = require('../../utils/invites');
+const Invite = require('../../models/Invite');
+const {
+  AVATAR_TYPES,
+  MAX_AVATAR_BYTES,
+  saveAvatar,
+  removeAvatar,
+  propagateAvatar
+} = require('../../utils/avatars');
+
+const CLIENT_URL = config.clientURL || 'http://localhost:3000';
+
+const gravatarFor = email =>
+  gravatar.url(email, {
+    s: '200', // size
+    r: 'pg', // pg rating
+    d: 'mm' // default
+  });
+
+// email a signed link confirming the user owns their address, or the new
+// address they asked to change to
+const sendVerificationEmail = (user, email = user.email) => {
+  const token = jwt.sign({
+    verify: {
+      id: user.id,
+      email
+    }
+  }, config.JWT_KEY, {
+    expiresIn: '1d'
+  });
+
+  return sendMail({
+    to: email,
+    subject: 'Confirm your DevConnector email address',
+    text: `Hi ${user.name},\n\nPlease confirm your email address by following this link within the next day:\n\n${CLIENT_URL}/verify-email/${token}`
+  });
+};
+
+// @route     GET api/users/registration
+// @desc      Whether registering needs an invite code
+// @access    Public
+router.get('/registration', (req, res) => {
+  res.status(200).json({
+    inviteOnly: INVITE_ONLY
+  });
+});
 
 // @route     POST api/users
 // @desc      Register user
 // @access    Public
 router.post('/', [
-  check('name', 'Name is required').not().isEmpty(),
-  check('email', 'Please include a valid email').isEmail(),
-  check('password', 'Please enter a password of at least 6 characters').isLength({
-    min: 6
-  })
+  bruteForce([byRegistrationIP], { countEvery: true }),
+  check('name', 'Name is required').isString().not().isEmpty(),
+  check('email', 'Please include a valid email').isString().isEmail(),
+  check('inviteCode', 'An invite code is required to register')
+    .if(() => INVITE_ONLY)
+    .isString()
+    .not()
+    .isEmpty()
 ], async (req, res) => {
-  const errors = validationResult(req);
-  if (!errors.isEmpty()) {
-    return res.status(400).json({
-      errors: errors.array()
-    });
-  }
-
   const {
     name,
     email,
-    password
+    password,
+    inviteCode
   } = req.body;
 
   try {
+    const errors = validationResult(req).array()
+      .concat(await checkPassword(password, { name, email }));
+    if (errors.length) {
+      return res.status(400).json({
+        errors
+      });
+    }
+
     // check if user exists
     let user = await User.findOne({
       email
@@ -47,12 +114,20 @@ router.post('/', [
       });
     }
 
+    let invite;
+    if (INVITE_ONLY) {
+      invite = await redeemInvite(inviteCode, email);
+      if (!invite) {
+        return res.status(400).json({
+          errors: [{
+            msg: 'Invite code is invalid, used up or has expired'
+          }]
+        });
+      }
+    }
+
     // get users gravatar
-    const avatar = gravatar.url(email, {
-      s: '200', // size
-      r: 'pg', // pg rating
-      d: 'mm' // default
-    });
+    const avatar = gravatarFor(email);
 
     user = new User({
       name,
@@ -65,31 +140,519 @@ router.post('/', [
     const salt = await bcrypt.genSalt(10);
     user.password = await bcrypt.hash(password, salt);
 
+    try {
+      await user.save();
+    } catch (err) {
+      if (invite) await releaseInvite(invite);
+      throw err;
+    }
+    if (invite) {
+      await Invite.updateOne({
+        _id: invite._id
+      }, {
+        $push: {
+          usedBy: user.id
+        }
+      });
+    }
+    await audit(req, 'user.registered', {
+      actor: user.id,
+      target: userTarget(user.id),
+      meta: invite && { invite: invite.id }
+    });
+
+    // the account is usable even if the mail cannot go out, it can be resent
+    try {
+      await sendVerificationEmail(user);
+    } catch (err) {
+      console.error(err.message);
+    }
+
+    // return access & refresh tokens
+    const tokens = await issueTokens(user, req);
+    res.status(201).json(withTokens(res, tokens, {
+      msg: "User registered"
+    }));
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// switch the account to its confirmed new address
+const confirmEmailChange = async (req, res, user) => {
+  const oldEmail = user.email;
+  const email = user.pendingEmail;
+  if (await User.exists({ email })) {
+    user.pendingEmail = undefined;
     await user.save();
+    return res.status(400).json({
+      errors: [{
+        msg: 'User already existed'
+      }]
+    });
+  }
+
+  user.email = email;
+  user.pendingEmail = undefined;
+  user.verified = true;
+  // an uploaded avatar stays, the gravatar follows the address
+  const gravatarChanged = !(user.avatarSizes && user.avatarSizes.medium);
+  if (gravatarChanged) user.avatar = gravatarFor(email);
+  await user.save();
+  if (gravatarChanged) await propagateAvatar(user.id, user.avatar);
+  await audit(req, 'email.changed', {
+    actor: user.id,
+    target: userTarget(user.id),
+    meta: { from: oldEmail, to: email }
+  });
+
+  try {
+    await sendMail({
+      to: oldEmail,
+      subject: 'Your DevConnector email address was changed',
+      text: `Hi ${user.name},\n\nThe email address on your account was changed to ${email}. If this was not you, please reset your password straight away.`
+    });
+  } catch (err) {
+    console.error(err.message);
+  }
+
+  res.status(200).json({
+    msg: 'Email address changed'
+  });
+};
+
+// @route     POST api/users/verify
+// @desc      Confirm email address with emailed token
+// @access    Public
+router.post('/verify', [
+  check('token', 'Verification token is required').not().isEmpty()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      errors: errors.array()
+    });
+  }
+
+  const invalid = () => res.status(400).json({
+    errors: [{
+      msg: 'Verification link is invalid or has expired'
+    }]
+  });
+
+  let decoded;
+  try {
+    decoded = jwt.verify(req.body.token, config.JWT_KEY);
+  } catch (err) {
+    return invalid();
+  }
+  if (!decoded.verify) {
+    return invalid();
+  }
 
-    // return jsonwebtoken
-    const payload = {
-      user: {
-        id: user.id
+  try {
+    // a link sent to a requested new address switches the account over
+    const changing = await User.findOne({
+      _id: decoded.verify.id,
+      pendingEmail: decoded.verify.email
+    });
+    if (changing) {
+      return confirmEmailChange(req, res, changing);
+    }
+
+    // only the address the link was sent to can be confirmed
+    const user = await User.findOneAndUpdate({
+      _id: decoded.verify.id,
+      email: decoded.verify.email
+    }, {
+      $set: {
+        verified: true
       }
-    };
-
-    jwt.sign(
-      payload,
-      config.JWT_KEY, {
-        expiresIn: 360000
-      },
-      (err, token) => {
-        if (err) throw err;
-        res.status(201).json({
-          msg: "User registered",
-          token
-        });
+    });
+    if (!user) {
+      return invalid();
+    }
+    await audit(req, 'email.verified', {
+      actor: user.id,
+      target: userTarget(user.id),
+      meta: { email: user.email }
+    });
+
+    res.status(200).json({
+      msg: 'Email address verified'
+    });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route     POST api/users/verify/resend
+// @desc      Resend verification email
+// @access    Private
+router.post('/verify/resend', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({
+        msg: 'User not found'
+      });
+    }
+    if (user.verified) {
+      return res.status(400).json({
+        errors: [{
+          msg: 'Email address is already verified'
+        }]
       });
+    }
+
+    await sendVerificationEmail(user);
+    res.status(200).json({
+      msg: 'Verification email sent'
+    });
   } catch (err) {
     console.error(err.message);
     res.status(500).send('Server error');
   }
 });
 
+// @route     PUT api/users/password
+// @desc      Change password, signs out every other session
+// @access    Private
+router.put('/password', auth, async (req, res) => {
+  const {
+    currentPassword,
+    password
+  } = req.body;
+
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({
+        msg: 'User not found'
+      });
+    }
+
+    // accounts created through GitHub have no password to check, a first one
+    // is set through a link sent to their address so a stolen token is not enough
+    if (!user.password) {
+      await sendPasswordReset(user);
+      await audit(req, 'password.reset_requested', {
+        target: userTarget(user.id)
+      });
+      return res.status(202).json({
+        msg: 'We have emailed you a link to set your password'
+      });
+    }
+
+    if (!(await bcrypt.compare(currentPassword || '', user.password))) {
+      return res.status(400).json({
+        errors: [{
+          msg: 'Current password is incorrect'
+        }]
+      });
+    }
+
+    const errors = await checkPassword(password, user);
+    if (errors.length) {
+      return res.status(400).json({
+        errors
+      });
+    }
+
+    const salt = await bcrypt.genSalt(10);
+    user.password = await bcrypt.hash(password, salt);
+    await user.save();
+
+    await revokeUserTokens(user.id, req.user.session);
+    await audit(req, 'password.changed', {
+      target: userTarget(user.id)
+    });
+
+    res.status(200).json({
+      msg: 'Password changed'
+    });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route     PUT api/users/email
+// @desc      Change email, once the new address is confirmed
+// @access    Private
+router.put('/email', [auth, [
+  check('email', 'Please include a valid email').isEmail()
+]], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      errors: errors.array()
+    });
+  }
+
+  const {
+    email,
+    password
+  } = req.body;
+
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({
+        msg: 'User not found'
+      });
+    }
+
+    if (!user.password) {
+      return res.status(400).json({
+        errors: [{
+          msg: 'Please set a password first, you can get a link by email under Change Password'
+        }]
+      });
+    }
+    if (!(await bcrypt.compare(password || '', user.password))) {
+      return res.status(400).json({
+        errors: [{
+          msg: 'Password is incorrect'
+        }]
+      });
+    }
+
+    if (email === user.email) {
+      return res.status(400).json({
+        errors: [{
+          msg: 'That is already your email address'
+        }]
+      });
+    }
+    if (await User.findOne({ email })) {
+      return res.status(400).json({
+        errors: [{
+          msg: 'User already existed'
+        }]
+      });
+    }
+
+    // nothing changes until the new address is confirmed, see POST api/users/verify
+    user.pendingEmail = email;
+    await user.save();
+    await audit(req, 'email.change_requested', {
+      target: userTarget(user.id),
+      meta: { from: user.email, to: email }
+    });
+
+    try {
+      await sendMail({
+        to: user.email,
+        subject: 'Your DevConnector email address is being changed',
+        text: `Hi ${user.name},\n\nSomeone asked to change the email address on your account to ${email}. It changes once the new address is confirmed. If this was not you, please reset your password straight away.`
+      });
+      await sendVerificationEmail(user, email);
+    } catch (err) {
+      console.error(err.message);
+    }
+
+    res.status(200).json(await User.findById(user.id).select('-password'));
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// keep the upload in memory, it is resized before anything is stored
+const uploadAvatar = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_AVATAR_BYTES,
+    files: 1
+  },
+  fileFilter: (req, file, cb) => {
+    if (!AVATAR_TYPES.includes(file.mimetype)) {
+      return cb(new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname));
+    }
+    cb(null, true);
+  }
+}).single('avatar');
+
+const avatarUpload = (req, res, next) =>
+  uploadAvatar(req, res, err => {
+    if (!err) return next();
+    const msg = err.code === 'LIMIT_FILE_SIZE'
+      ? `Avatar must be at most ${Math.floor(MAX_AVATAR_BYTES / 1024 / 1024)} MB`
+      : 'Avatar must be a JPEG, PNG, GIF or WebP image';
+    res.status(400).json({
+      errors: [{ msg }]
+    });
+  });
+
+// @route     POST api/users/avatar
+// @desc      Upload a new avatar (multipart field "avatar")
+// @access    Private
+router.post('/avatar', [auth, avatarUpload], async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({
+      errors: [{
+        msg: 'Please choose an image to upload'
+      }]
+    });
+  }
+
+  try {
+    let saved;
+    try {
+      saved = await saveAvatar(req.user.id, req.file.buffer);
+    } catch (err) {
+      return res.status(400).json({
+        errors: [{
+          msg: 'Avatar must be a JPEG, PNG, GIF or WebP image'
+        }]
+      });
+    }
+
+    const user = await User.findById(req.user.id).select('+avatarKeys');
+    const oldKeys = user.avatarKeys;
+    user.avatar = saved.sizes.medium;
+    user.avatarSizes = saved.sizes;
+    user.avatarKeys = saved.keys;
+    await user.save();
+
+    await propagateAvatar(user.id, user.avatar);
+    await removeAvatar(oldKeys);
+
+    res.status(200).json({
+      avatar: user.avatar,
+      avatarSizes: user.avatarSizes
+    });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route     DELETE api/users/avatar
+// @desc      Remove the uploaded avatar and go back to the gravatar
+// @access    Private
+router.delete('/avatar', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('+avatarKeys');
+    const oldKeys = user.avatarKeys;
+    user.avatar = gravatarFor(user.email);
+    user.avatarSizes = undefined;
+    user.avatarKeys = [];
+    await user.save();
+
+    await propagateAvatar(user.id, user.avatar);
+    await removeAvatar(oldKeys);
+
+    res.status(200).json({
+      avatar: user.avatar
+    });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route     GET api/users/export
+// @desc      Download all of the current user's data, ?format=zip adds an HTML index
+// @access    Private
+router.get('/export', auth, async (req, res) => {
+  try {
+    const data = await buildExport(req.user.id);
+    const filename = `devconnector-export-${new Date().toISOString().slice(0, 10)}`;
+
+    if (req.query.format !== 'zip') {
+      res.set('Content-Disposition', `attachment; filename="${filename}.json"`);
+      return res.status(200).json(data);
+    }
+
+    res.set('Content-Type', 'application/zip');
+    res.set('Content-Disposition', `attachment; filename="${filename}.zip"`);
+
+    const archive = archiver('zip');
+    archive.on('error', err => {
+      console.error(err.message);
+      res.end();
+    });
+    archive.pipe(res);
+    archive.append(JSON.stringify(data, null, 2), { name: 'data.json' });
+    archive.append(renderHTML(data), { name: 'index.html' });
+    await archive.finalize();
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route     GET api/users
+// @desc      List users
+// @access    Admin
+router.get('/', [auth, requirePermission('users:manage')], async (req, res) => {
+  try {
+    const users = await User.find()
+      .select('name email avatar verified roles date')
+      .sort({
+        date: -1
+      });
+    res.status(200).json(users);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route     PUT api/users/:id/roles
+// @desc      Set a user's roles
+// @access    Admin
+router.put('/:id/roles', [auth, requirePermission('users:manage'), [
+  check('roles', 'Roles must be a list').isArray(),
+  check('roles.*', `Roles must be one of ${ROLES.join(', ')}`).isIn(ROLES)
+]], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      errors: errors.array()
+    });
+  }
+
+  // admins cannot lock themselves out
+  if (req.params.id === req.user.id && !req.body.roles.includes('admin')) {
+    return res.status(400).json({
+      errors: [{
+        msg: 'You cannot remove your own admin role'
+      }]
+    });
+  }
+
+  try {
+    const user = await User.findByIdAndUpdate(req.params.id, {
+      $set: {
+        roles: req.body.roles
+      }
+    }, {
+      new: true
+    }).select('name email avatar verified roles date');
+    if (!user) {
+      return res.status(404).json({
+        msg: 'User not found'
+      });
+    }
+    await audit(req, 'user.roles_changed', {
+      target: userTarget(user.id),
+      meta: { roles: req.body.roles }
+    });
+    res.status(200).json(user);
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({
+        msg: 'User not found'
+      });
+    }
+    res.status(500).send('Server error');
+  }
+});
+
 module.exports = router;
\ No newline at end of file
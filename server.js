@@ -1,23 +1,52 @@
 const express = require('express');
+const cookieParser = require('cookie-parser');
 const connectDB = require('./config/db');
+const config = require('./config/config');
+const { startDeletionJob } = require('./utils/accountDeletion');
+const { runMigrations } = require('./utils/migrations');
+const { checkMailTransport } = require('./utils/mailer');
+const { UPLOAD_DIR, UPLOAD_URL } = require('./utils/storage');
+
+// refuse to start rather than lose or log outgoing mail
+checkMailTransport();
 
 const app = express();
 
+// needed for the real client IP (brute force tracking) behind a reverse proxy
+app.set('trust proxy', config.trustProxy || false);
+
 // connect database
 connectDB();
 
+// bring stored data up to date with the models
+runMigrations().catch(err => console.error(`Migrations failed: ${err.message}`));
+
+// finish account deletions once their grace period is over
+startDeletionJob();
+
 // init middleware
 app.use(express.json({
   extended: false
 }));
+app.use(cookieParser());
 
 app.get('/', (req, res) => res.send('API Running'));
 
+// uploaded files kept on local disk
+if ((config.storage || 'local') === 'local') {
+  app.use(UPLOAD_URL, express.static(UPLOAD_DIR));
+}
+
 // define routes
 app.use('/api/users', require('./routes/api/users'));
 app.use('/api/auth', require('./routes/api/auth'));
 app.use('/api/profile', require('./routes/api/profile'));
 app.use('/api/posts', require('./routes/api/posts'));
+app.use('/api/tokens', require('./routes/api/tokens'));
+app.use('/api/audit', require('./routes/api/audit'));
+app.use('/api/relationships', require('./routes/api/relationships'));
+app.use('/api/invites', require('./routes/api/invites'));
+app.use('/api/search', require('./routes/api/search'));
 
 const PORT = process.env.PORT || 5000;
 
@@ -0,0 +1,69 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+
+const Profile = require('../models/Profile');
+const User = require('../models/User');
+
+// a directory entry as MongoDB returned it when the user lookup was merged
+// into the whole user document
+const leaked = {
+  _id: '5d5b0000000000000000000b',
+  status: 'Developer',
+  skills: ['node'],
+  user: {
+    _id: '5d5b0000000000000000000a',
+    name: 'Jane',
+    avatar: '//avatar',
+    email: 'jane@example.com',
+    password: '$2a$10$hash',
+    twoFactorSecret: 'secret'
+  }
+};
+
+let server;
+let base;
+let pipeline;
+const originals = {};
+
+before(async () => {
+  originals.aggregate = Profile.aggregate;
+  originals.find = User.find;
+  Profile.aggregate = async stages => {
+    pipeline = stages;
+    return [{ profiles: [leaked], total: [{ count: 1 }] }];
+  };
+  User.find = () => ({ distinct: async () => [] });
+
+  const app = express();
+  app.use('/api/profile', require('../routes/api/profile'));
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  base = `http://127.0.0.1:${server.address().port}/api/profile`;
+});
+
+after(() => {
+  Profile.aggregate = originals.aggregate;
+  User.find = originals.find;
+  server.close();
+});
+
+test('GET /api/profile only exposes the public part of each user', async () => {
+  const res = await fetch(base);
+  assert.strictEqual(res.status, 200);
+
+  const { profiles } = await res.json();
+  assert.strictEqual(profiles.length, 1);
+  assert.strictEqual(profiles[0].user.name, 'Jane');
+  assert.strictEqual(profiles[0].user.password, undefined);
+  assert.strictEqual(profiles[0].user.email, undefined);
+  assert.strictEqual(profiles[0].user.twoFactorSecret, undefined);
+});
+
+test('GET /api/profile projects the user inside the lookup', async () => {
+  await fetch(base);
+
+  const { $lookup } = pipeline.find(stage => stage.$lookup);
+  const project = $lookup.pipeline.find(stage => stage.$project).$project;
+  assert.deepStrictEqual(Object.keys(project).sort(), ['avatar', 'name']);
+});
@@ -0,0 +1,156 @@
+const mongoose = require('mongoose');
+const gravatar = require('gravatar');
+const config = require('../config/config');
+const { removeAvatar } = require('./avatars');
+
+const AccessToken = require('../models/AccessToken');
+const Invite = require('../models/Invite');
+const Post = require('../models/Post');
+const Profile = require('../models/Profile');
+const RefreshToken = require('../models/RefreshToken');
+const Session = require('../models/Session');
+const User = require('../models/User');
+
+// config.accountDeletion overrides any of these; posts and comments are
+// either 'remove'd or 'anonymize'd, likes are always removed
+const POLICY = {
+  graceDays: 14,
+  posts: 'remove',
+  comments: 'anonymize',
+  interval: 60 * 60 * 1000,
+  ...config.accountDeletion
+};
+
+const ANONYMOUS = {
+  name: 'Deleted user',
+  avatar: gravatar.url('', { s: '200', r: 'pg', d: 'mm' })
+};
+
+const gracePeriodEnd = () =>
+  new Date(Date.now() + POLICY.graceDays * 24 * 60 * 60 * 1000);
+
+// run work in a transaction where the server supports them (replica sets),
+// otherwise step by step; every step can safely be repeated
+const inTransaction = async work => {
+  const session = await mongoose.startSession();
+  try {
+    await session.withTransaction(() => work(session));
+  } catch (err) {
+    if (err.code !== 20 && !/replica set|mongos/i.test(err.message)) {
+      throw err;
+    }
+    await work(null);
+  } finally {
+    session.endSession();
+  }
+};
+
+// remove a user for good, cascading to their profile, posts, comments & likes
+const purgeAccount = async userId => {
+  const user = mongoose.Types.ObjectId(userId);
+  const uploaded = await User.findById(user).select('+avatarKeys');
+
+  await inTransaction(async session => {
+    await Post.updateMany({
+      'likes.user': user
+    }, {
+      $pull: {
+        likes: { user }
+      }
+    }, { session });
+
+    if (POLICY.comments === 'anonymize') {
+      await Post.updateMany({
+        'comments.user': user
+      }, {
+        $set: {
+          'comments.$[comment].name': ANONYMOUS.name,
+          'comments.$[comment].avatar': ANONYMOUS.avatar
+        },
+        $unset: {
+          'comments.$[comment].user': ''
+        }
+      }, {
+        arrayFilters: [{ 'comment.user': user }],
+        session
+      });
+    } else {
+      await Post.updateMany({
+        'comments.user': user
+      }, {
+        $pull: {
+          comments: { user }
+        }
+      }, { session });
+    }
+
+    if (POLICY.posts === 'anonymize') {
+      await Post.updateMany({
+        user
+      }, {
+        $set: ANONYMOUS,
+        $unset: {
+          user: ''
+        }
+      }, { session });
+    } else {
+      await Post.deleteMany({ user }, { session });
+    }
+
+    await User.updateMany({
+      $or: [{ blocked: user }, { muted: user }]
+    }, {
+      $pull: {
+        blocked: user,
+        muted: user
+      }
+    }, { session });
+
+    await Profile.deleteOne({ user }, { session });
+    await RefreshToken.deleteMany({ user }, { session });
+    await Session.deleteMany({ user }, { session });
+    await AccessToken.deleteMany({ user }, { session });
+    await Invite.deleteMany({ creator: user }, { session });
+    await Invite.updateMany({
+      usedBy: user
+    }, {
+      $pull: {
+        usedBy: user
+      }
+    }, { session });
+    await User.deleteOne({ _id: user }, { session });
+  });
+
+  if (uploaded) await removeAvatar(uploaded.avatarKeys);
+};
+
+// purge every account whose grace period is over
+const purgeExpiredAccounts = async () => {
+  const users = await User.find({
+    deleteAfter: {
+      $lte: Date.now()
+    }
+  }).select('_id');
+
+  for (const user of users) {
+    try {
+      await purgeAccount(user.id);
+    } catch (err) {
+      console.error(`Could not delete account ${user.id}: ${err.message}`);
+    }
+  }
+};
+
+const startDeletionJob = () => {
+  const run = () => purgeExpiredAccounts().catch(err => console.error(err.message));
+  run();
+  return setInterval(run, POLICY.interval);
+};
+
+module.exports = {
+  POLICY,
+  gracePeriodEnd,
+  purgeAccount,
+  purgeExpiredAccounts,
+  startDeletionJob
+};
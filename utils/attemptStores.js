@@ -0,0 +1,123 @@
+// stores for failed attempt counters used by middleware/bruteForce.js
+//
+// a store implements:
+//   get(key)                 -> { failures, lockedUntil } or null
+//   increment(key, windowMs) -> failures, counting restarts once the window passes
+//   lock(key, until)         -> refuse attempts for key until the given time
+//   reset(key)
+
+// how often the memory store drops expired counters
+const SWEEP_INTERVAL = 60 * 1000;
+
+// single process only, counters are lost on restart
+const createMemoryStore = () => {
+  const records = new Map();
+
+  // failures spread over many keys are never read again, drop them on a timer
+  const sweep = () => {
+    const now = Date.now();
+    records.forEach((record, key) => {
+      if (record.expires <= now) records.delete(key);
+    });
+  };
+  // don't keep the process alive just for this
+  setInterval(sweep, SWEEP_INTERVAL).unref();
+
+  const get = key => {
+    const record = records.get(key);
+    if (record && record.expires <= Date.now()) {
+      records.delete(key);
+      return null;
+    }
+    return record || null;
+  };
+
+  return {
+    get: async key => get(key),
+    increment: async (key, windowMs) => {
+      const record = get(key) || { failures: 0, lockedUntil: 0 };
+      record.failures += 1;
+      record.expires = Math.max(Date.now() + windowMs, record.lockedUntil);
+      records.set(key, record);
+      return record.failures;
+    },
+    lock: async (key, until) => {
+      const record = get(key);
+      if (record) {
+        record.lockedUntil = until;
+        record.expires = Math.max(record.expires, until);
+      }
+    },
+    reset: async key => {
+      records.delete(key);
+    }
+  };
+};
+
+// shared between instances through MongoDB
+const createMongoStore = () => {
+  const LoginAttempt = require('../models/LoginAttempt');
+
+  // the TTL monitor only runs once a minute, so skip stale records ourselves
+  const live = () => ({
+    $gt: new Date()
+  });
+
+  return {
+    get: async key => {
+      const record = await LoginAttempt.findOne({
+        key,
+        expires: live()
+      });
+      return record && {
+        failures: record.failures,
+        lockedUntil: record.lockedUntil ? record.lockedUntil.getTime() : 0
+      };
+    },
+    increment: async (key, windowMs) => {
+      await LoginAttempt.deleteOne({
+        key,
+        expires: {
+          $lte: new Date()
+        }
+      });
+      const record = await LoginAttempt.findOneAndUpdate({
+        key
+      }, {
+        $inc: {
+          failures: 1
+        },
+        $max: {
+          expires: new Date(Date.now() + windowMs)
+        }
+      }, {
+        new: true,
+        upsert: true,
+        setDefaultsOnInsert: true
+      });
+      return record.failures;
+    },
+    lock: async (key, until) => {
+      await LoginAttempt.updateOne({
+        key
+      }, {
+        $set: {
+          lockedUntil: new Date(until)
+        },
+        $max: {
+          expires: new Date(until)
+        }
+      });
+    },
+    reset: async key => {
+      await LoginAttempt.deleteOne({
+        key
+      });
+    }
+  };
+};
+
+module.exports = {
+  createMemoryStore,
+  createMongoStore
+};
@@ -0,0 +1,32 @@
+const AuditEvent = require('../models/AuditEvent');
+
+// record a security relevant event for the request; failing to write it is
+// logged rather than thrown so it never breaks the action being audited
+const audit = async (req, action, {
+  actor = req.user && req.user.id,
+  target,
+  meta
+} = {}) => {
+  try {
+    await new AuditEvent({
+      actor,
+      action,
+      target,
+      ip: req.ip,
+      userAgent: req.get('user-agent'),
+      meta
+    }).save();
+  } catch (err) {
+    console.error(`Could not audit ${action}: ${err.message}`);
+  }
+};
+
+const userTarget = id => ({
+  kind: 'user',
+  id: id.toString()
+});
+
+module.exports = {
+  audit,
+  userTarget
+};
@@ -0,0 +1,103 @@
+const crypto = require('crypto');
+const config = require('../config/config');
+
+// with config.authMode 'cookie' tokens are kept in HttpOnly cookies instead
+// of being handed to the client, which guards them against XSS
+const COOKIE_MODE = config.authMode === 'cookie';
+
+const ACCESS_COOKIE = 'access_token';
+const REFRESH_COOKIE = 'refresh_token';
+// double-submit CSRF token; the names are the ones axios sends by default
+const CSRF_COOKIE = 'XSRF-TOKEN';
+const CSRF_HEADER = 'x-xsrf-token';
+
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+const REFRESH_MAX_AGE = (config.REFRESH_TOKEN_DAYS || 30) * 24 * 60 * 60 * 1000;
+
+const cookieOptions = {
+  sameSite: config.cookieSameSite || 'strict',
+  secure: config.cookieSecure !== undefined ?
+    config.cookieSecure : process.env.NODE_ENV === 'production',
+  maxAge: REFRESH_MAX_AGE
+};
+
+const setAuthCookies = (res, { token, refreshToken }) => {
+  res.cookie(ACCESS_COOKIE, token, {
+    ...cookieOptions,
+    httpOnly: true,
+    path: '/api'
+  });
+  // only ever needed to refresh or sign out
+  res.cookie(REFRESH_COOKIE, refreshToken, {
+    ...cookieOptions,
+    httpOnly: true,
+    path: '/api/auth'
+  });
+  // readable by the client so it can echo it back in a header
+  res.cookie(CSRF_COOKIE, crypto.randomBytes(32).toString('hex'), {
+    ...cookieOptions,
+    path: '/'
+  });
+};
+
+// the OAuth state nonce, tying a GitHub sign in to the browser that began it;
+// lax so it comes along when GitHub redirects back
+const OAUTH_COOKIE = 'oauth_state';
+const oauthCookieOptions = {
+  secure: cookieOptions.secure,
+  sameSite: 'lax',
+  httpOnly: true,
+  path: '/api/auth/github'
+};
+
+const setOAuthCookie = (res, nonce) =>
+  res.cookie(OAUTH_COOKIE, nonce, {
+    ...oauthCookieOptions,
+    maxAge: 10 * 60 * 1000
+  });
+
+const clearOAuthCookie = res =>
+  res.clearCookie(OAUTH_COOKIE, oauthCookieOptions);
+
+// without maxAge, which would outlast the expiry clearCookie sets
+const clearAuthCookies = res => {
+  const { maxAge, ...options } = cookieOptions;
+  res.clearCookie(ACCESS_COOKIE, { ...options, path: '/api' });
+  res.clearCookie(REFRESH_COOKIE, { ...options, path: '/api/auth' });
+  res.clearCookie(CSRF_COOKIE, { ...options, path: '/' });
+};
+
+// the body to answer a sign in with: the tokens themselves, or in cookie
+// mode only what is not a token, after setting the cookies
+const withTokens = (res, tokens, body) => {
+  if (!COOKIE_MODE) {
+    return { ...body, ...tokens };
+  }
+  setAuthCookies(res, tokens);
+  return body;
+};
+
+// a request carrying cookies must repeat the CSRF cookie in a header, which
+// a page on another site cannot read
+const validCsrf = req => {
+  if (SAFE_METHODS.includes(req.method)) {
+    return true;
+  }
+  const cookie = Buffer.from((req.cookies && req.cookies[CSRF_COOKIE]) || '');
+  const header = Buffer.from(req.header(CSRF_HEADER) || '');
+  return cookie.length > 0 && cookie.length === header.length &&
+    crypto.timingSafeEqual(cookie, header);
+};
+
+module.exports = {
+  COOKIE_MODE,
+  ACCESS_COOKIE,
+  REFRESH_COOKIE,
+  OAUTH_COOKIE,
+  clearAuthCookies,
+  setOAuthCookie,
+  clearOAuthCookie,
+  withTokens,
+  validCsrf
+};
@@ -0,0 +1,84 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const sharp = require('sharp');
+const config = require('../config/config');
+
+const Post = require('../models/Post');
+const { getStorage } = require('./storage');
+
+const AVATAR_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
+const MAX_AVATAR_BYTES = config.avatarMaxBytes || 2 * 1024 * 1024;
+
+// square sizes in pixels; "medium" matches the gravatar size and is the
+// one stored on the user, posts and comments
+const AVATAR_SIZES = {
+  small: 48,
+  medium: 200,
+  large: 400
+};
+
+// resize an uploaded image to every standard size and store them, rejects
+// when the buffer is not an image sharp can read
+const saveAvatar = async (userId, buffer) => {
+  const storage = getStorage();
+  const version = crypto.randomBytes(8).toString('hex');
+  const image = sharp(buffer, { limitInputPixels: 40000000 }).rotate();
+  await image.metadata();
+
+  const sizes = {};
+  const keys = [];
+  for (const [name, px] of Object.entries(AVATAR_SIZES)) {
+    const resized = await image
+      .clone()
+      .resize(px, px, { fit: 'cover' })
+      .jpeg({ quality: 85 })
+      .toBuffer();
+    const key = `avatars/${userId}/${version}-${name}.jpg`;
+    sizes[name] = await storage.put(key, resized, 'image/jpeg');
+    keys.push(key);
+  }
+
+  return { sizes, keys };
+};
+
+const removeAvatar = async keys => {
+  const storage = getStorage();
+  for (const key of keys) {
+    try {
+      await storage.remove(key);
+    } catch (err) {
+      console.error(`Could not remove ${key}: ${err.message}`);
+    }
+  }
+};
+
+// update the avatar snapshots taken on the user's posts and comments
+const propagateAvatar = async (userId, avatar) => {
+  const user = mongoose.Types.ObjectId(userId.toString());
+
+  await Post.updateMany({
+    user
+  }, {
+    $set: {
+      avatar
+    }
+  });
+  await Post.updateMany({
+    'comments.user': user
+  }, {
+    $set: {
+      'comments.$[comment].avatar': avatar
+    }
+  }, {
+    arrayFilters: [{ 'comment.user': user }]
+  });
+};
+
+module.exports = {
+  AVATAR_TYPES,
+  MAX_AVATAR_BYTES,
+  AVATAR_SIZES,
+  saveAvatar,
+  removeAvatar,
+  propagateAvatar
+};
@@ -0,0 +1,109 @@
+const Post = require('../models/Post');
+const Profile = require('../models/Profile');
+const Session = require('../models/Session');
+const User = require('../models/User');
+
+// everything stored about a user, as one plain object
+const buildExport = async userId => {
+  const user = await User.findById(userId).select('-password');
+  const profile = await Profile.findOne({ user: userId });
+  const posts = await Post.find({ user: userId }).sort({ date: -1 });
+  const sessions = await Session.find({ user: userId })
+    .select('userAgent ip lastSeen revoked date')
+    .sort({ date: -1 });
+
+  // comments & likes left on other people's posts
+  const others = await Post.find({
+    user: { $ne: userId },
+    $or: [{ 'comments.user': userId }, { 'likes.user': userId }]
+  }).sort({ date: -1 });
+
+  const comments = [];
+  const likes = [];
+  others.forEach(post => {
+    const onPost = {
+      post: post.id,
+      postAuthor: post.name,
+      postText: post.text
+    };
+    post.comments
+      .filter(comment => comment.user && comment.user.toString() === userId)
+      .forEach(comment => comments.push({
+        ...onPost,
+        text: comment.text,
+        date: comment.date
+      }));
+    if (post.likes.some(like => like.user && like.user.toString() === userId)) {
+      likes.push(onPost);
+    }
+  });
+
+  return {
+    exported: new Date(),
+    user: user && user.toObject(),
+    profile: profile && profile.toObject(),
+    posts: posts.map(post => post.toObject()),
+    comments,
+    likes,
+    sessions: sessions.map(session => session.toObject())
+  };
+};
+
+const escape = value =>
+  String(value === undefined || value === null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const date = value => (value ? new Date(value).toISOString().slice(0, 10) : '');
+
+const list = (items, render) =>
+  items.length > 0 ? `<ul>${items.map(item => `<li>${render(item)}</li>`).join('')}</ul>` : '<p>None</p>';
+
+// a human readable index to go alongside data.json
+const renderHTML = data => {
+  const { user, profile } = data;
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>DevConnector data export for ${escape(user.name)}</title>
+</head>
+<body>
+<h1>DevConnector data export</h1>
+<p>Exported ${escape(data.exported.toISOString())}. The complete data is in <a href="data.json">data.json</a>.</p>
+
+<h2>Account</h2>
+<p>${escape(user.name)} &lt;${escape(user.email)}&gt;, member since ${date(user.date)}</p>
+
+<h2>Profile</h2>
+${profile ? `<p>${escape(profile.status)}${profile.company ? ` at ${escape(profile.company)}` : ''}</p>
+<p>${escape(profile.bio)}</p>
+<p>Skills: ${escape(profile.skills.join(', '))}</p>
+<h3>Experience</h3>
+${list(profile.experience, exp => `${escape(exp.title)} at ${escape(exp.company)}, ${date(exp.from)} - ${exp.current ? 'now' : date(exp.to)}`)}
+<h3>Education</h3>
+${list(profile.education, edu => `${escape(edu.degree)} in ${escape(edu.fieldofstudy)}, ${escape(edu.school)}, ${date(edu.from)} - ${edu.current ? 'now' : date(edu.to)}`)}` : '<p>No profile</p>'}
+
+<h2>Posts (${data.posts.length})</h2>
+${list(data.posts, post => `${date(post.date)}: ${escape(post.text)}`)}
+
+<h2>Comments (${data.comments.length})</h2>
+${list(data.comments, comment => `${date(comment.date)} on ${escape(comment.postAuthor)}'s post: ${escape(comment.text)}`)}
+
+<h2>Likes (${data.likes.length})</h2>
+${list(data.likes, like => `${escape(like.postAuthor)}: ${escape(like.postText)}`)}
+
+<h2>Sessions (${data.sessions.length})</h2>
+${list(data.sessions, session => `${date(session.date)} from ${escape(session.ip)}, ${escape(session.userAgent)}`)}
+</body>
+</html>
+`;
+};
+
+module.exports = {
+  buildExport,
+  renderHTML
+};
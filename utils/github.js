@@ -0,0 +1,91 @@
+const querystring = require('querystring');
+const request = require('request');
+const config = require('../config/config');
+
+// everything can be overridden through config.githubOAuth, e.g. to point at a
+// local mock of the GitHub endpoints
+const GITHUB = {
+  clientID: config.githubid,
+  clientSecret: config.githubsecret,
+  authorizeURL: 'https://github.com/login/oauth/authorize',
+  tokenURL: 'https://github.com/login/oauth/access_token',
+  apiURL: 'https://api.github.com',
+  callbackURL: 'http://localhost:5000/api/auth/github/callback',
+  ...config.githubOAuth
+};
+
+const call = options =>
+  new Promise((resolve, reject) => {
+    request({
+      json: true,
+      ...options,
+      headers: {
+        'user-agent': 'node.js',
+        accept: 'application/json',
+        ...options.headers
+      }
+    }, (error, response, body) => {
+      if (error) return reject(error);
+      if (response.statusCode !== 200) {
+        return reject(new Error(`GitHub responded with ${response.statusCode}`));
+      }
+      resolve(body);
+    });
+  });
+
+// where to send the browser to start the authorization code flow
+const authorizeURL = state =>
+  `${GITHUB.authorizeURL}?${querystring.stringify({
+    client_id: GITHUB.clientID,
+    redirect_uri: GITHUB.callbackURL,
+    scope: 'read:user user:email',
+    state
+  })}`;
+
+// exchange the authorization code for an access token
+const exchangeCode = async code => {
+  const body = await call({
+    uri: GITHUB.tokenURL,
+    method: 'POST',
+    form: {
+      client_id: GITHUB.clientID,
+      client_secret: GITHUB.clientSecret,
+      redirect_uri: GITHUB.callbackURL,
+      code
+    }
+  });
+  if (!body.access_token) {
+    throw new Error(body.error_description || 'GitHub did not return an access token');
+  }
+  return body.access_token;
+};
+
+// the GitHub account behind an access token, with its verified emails
+const getIdentity = async accessToken => {
+  const headers = {
+    authorization: `token ${accessToken}`
+  };
+  const [user, emails] = await Promise.all([
+    call({ uri: `${GITHUB.apiURL}/user`, headers }),
+    call({ uri: `${GITHUB.apiURL}/user/emails`, headers })
+  ]);
+
+  const verified = emails.filter(email => email.verified);
+  const primary = verified.find(email => email.primary) || verified[0];
+
+  return {
+    id: String(user.id),
+    username: user.login,
+    name: user.name || user.login,
+    avatar: user.avatar_url,
+    email: primary && primary.email,
+    emails: verified.map(email => email.email)
+  };
+};
+
+module.exports = {
+  GITHUB,
+  authorizeURL,
+  exchangeCode,
+  getIdentity
+};
@@ -0,0 +1,33 @@
+// handles are 3-30 letters, digits, "_" or "-", starting with a letter
+const HANDLE_PATTERN = /^[a-z][a-z0-9_-]{2,29}$/i;
+
+// names that would collide with client routes or could be used to
+// impersonate the site
+const RESERVED = new Set([
+  'about', 'account', 'account-settings', 'admin', 'administrator', 'api',
+  'audit', 'auth', 'create-profile', 'dashboard', 'devconnector',
+  'edit-profile', 'help', 'login', 'logout', 'me', 'moderator', 'oauth',
+  'post', 'posts', 'profile', 'profiles', 'register', 'root', 'search',
+  'security', 'settings', 'signin', 'signup', 'staff', 'support', 'system',
+  'user', 'users'
+]);
+
+const handleKey = handle => handle.trim().toLowerCase();
+
+// returns an error message, or null when the handle may be claimed
+const validateHandle = handle => {
+  if (typeof handle !== 'string' || !HANDLE_PATTERN.test(handle.trim())) {
+    return 'Handle must be 3-30 letters, numbers, "_" or "-" and start with a letter';
+  }
+  if (RESERVED.has(handleKey(handle))) {
+    return 'That handle is reserved';
+  }
+  return null;
+};
+
+module.exports = {
+  HANDLE_PATTERN,
+  RESERVED,
+  handleKey,
+  validateHandle
+};
@@ -0,0 +1,65 @@
+const crypto = require('crypto');
+const config = require('../config/config');
+
+const Invite = require('../models/Invite');
+
+// config.registration is 'open' or 'invite'; config.invites overrides any of
+// the limits below, which apply to members (admins are not limited)
+const INVITE_ONLY = config.registration === 'invite';
+
+const LIMITS = {
+  quota: 5, // invites a member can have usable at once
+  maxUses: 1,
+  days: 7,
+  ...config.invites
+};
+
+const generateCode = () =>
+  crypto.randomBytes(9).toString('base64')
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_');
+
+// conditions an invite must meet to still be usable
+const usable = () => ({
+  revoked: null,
+  $and: [{
+    $or: [{ expires: null }, { expires: { $gt: Date.now() } }]
+  }],
+  $expr: {
+    $lt: ['$uses', '$maxUses']
+  }
+});
+
+// take one use of the code for the email, resolves to the invite or null
+const redeemInvite = (code, email) =>
+  Invite.findOneAndUpdate({
+    // never a query operator smuggled in from the request body
+    code: String(code),
+    ...usable(),
+    $or: [{ email: null }, { email: email.toLowerCase() }]
+  }, {
+    $inc: {
+      uses: 1
+    }
+  }, {
+    new: true
+  });
+
+// give a use back when registration failed after redeeming
+const releaseInvite = invite =>
+  Invite.updateOne({
+    _id: invite._id
+  }, {
+    $inc: {
+      uses: -1
+    }
+  });
+
+module.exports = {
+  INVITE_ONLY,
+  LIMITS,
+  generateCode,
+  usable,
+  redeemInvite,
+  releaseInvite
+};
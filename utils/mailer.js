@@ -0,0 +1,71 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('../config/config');
+
+const FROM = config.mailFrom || 'DevConnector <no-reply@devconnector.local>';
+
+// same default as express, an unset NODE_ENV means development
+const DEVELOPMENT = (process.env.NODE_ENV || 'development') === 'development';
+
+let smtpTransport;
+
+// a transport is an async function taking { from, to, subject, text }
+const transports = {
+  // print the message, handy when running locally. Reset, verification and
+  // sign-in links would end up in the logs, so it only works in development
+  console: async message => {
+    console.log(`--- mail to ${message.to}: ${message.subject}\n${message.text}\n---`);
+  },
+  // write each message to its own file in config.mailDir
+  file: async message => {
+    const dir = config.mailDir || path.join(__dirname, '..', 'mail');
+    await fs.promises.mkdir(dir, { recursive: true });
+    await fs.promises.writeFile(
+      path.join(dir, `${Date.now()}-${message.to}.txt`),
+      `From: ${message.from}\nTo: ${message.to}\nSubject: ${message.subject}\n\n${message.text}\n`
+    );
+  },
+  // deliver through an SMTP server, options are passed to nodemailer as is
+  smtp: async message => {
+    if (!smtpTransport) {
+      smtpTransport = require('nodemailer').createTransport(config.smtp);
+    }
+    await smtpTransport.sendMail(message);
+  }
+};
+
+const registerTransport = (name, send) => {
+  transports[name] = send;
+};
+
+// the configured transport, falling back to the console while developing
+const transportName = () => {
+  const name = config.mailTransport || (DEVELOPMENT ? 'console' : null);
+  if (!name) {
+    throw new Error('No mail transport configured, set mailTransport in the config');
+  }
+  if (name === 'console' && !DEVELOPMENT) {
+    throw new Error('The console mail transport is only available in development');
+  }
+  return name;
+};
+
+// run at startup so a server that cannot send mail does not start at all
+const checkMailTransport = () => {
+  transportName();
+};
+
+const sendMail = message => {
+  const name = transportName();
+  const transport = transports[name];
+  if (!transport) {
+    throw new Error(`Unknown mail transport: ${name}`);
+  }
+  return transport({ from: FROM, ...message });
+};
+
+module.exports = {
+  registerTransport,
+  checkMailTransport,
+  sendMail
+};
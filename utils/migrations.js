@@ -0,0 +1,55 @@
+const Migration = require('../models/Migration');
+const Profile = require('../models/Profile');
+const User = require('../models/User');
+
+// one-off data changes, applied in order at startup and recorded so each
+// runs once; every step can safely be repeated if the server stops halfway
+const MIGRATIONS = [{
+  // accounts from before email verification had no way to verify, keep
+  // them posting; newer accounts are stored with verified: false
+  name: 'verify-existing-users',
+  up: () => User.updateMany({
+    verified: {
+      $exists: false
+    }
+  }, {
+    $set: {
+      verified: true
+    }
+  })
+}, {
+  // experience and education used to stay in the order they were added,
+  // saving runs the same sort as any other change to them
+  name: 'sort-profile-entries',
+  up: () => Profile.find({
+    $or: [{
+      'experience.1': {
+        $exists: true
+      }
+    }, {
+      'education.1': {
+        $exists: true
+      }
+    }]
+  }).cursor().eachAsync(profile => {
+    profile.markModified('experience');
+    profile.markModified('education');
+    return profile.save({ validateBeforeSave: false });
+  })
+}];
+
+const runMigrations = async () => {
+  const done = await Migration.find().distinct('name');
+
+  for (const migration of MIGRATIONS) {
+    if (done.includes(migration.name)) continue;
+    await migration.up();
+    await new Migration({ name: migration.name }).save();
+    console.log(`Migration ${migration.name} applied`);
+  }
+};
+
+module.exports = {
+  MIGRATIONS,
+  runMigrations
+};
@@ -0,0 +1,122 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const readline = require('readline');
+const config = require('../config/config');
+
+// config.passwordPolicy overrides any of these; breachedList is the path of
+// a file of upper-case SHA-1 hashes, one per line, optionally followed by
+// ":count" as in the Have I Been Pwned downloads
+const POLICY = {
+  minLength: 8,
+  maxLength: 128,
+  minEntropy: 40,
+  personalInfo: true,
+  breachedList: null,
+  ...config.passwordPolicy
+};
+
+// rough guessing entropy in bits: the size of the character pools used,
+// ignoring characters that repeat or continue a run such as "abc" or "321"
+const estimateEntropy = password => {
+  let pool = 0;
+  if (/[a-z]/.test(password)) pool += 26;
+  if (/[A-Z]/.test(password)) pool += 26;
+  if (/[0-9]/.test(password)) pool += 10;
+  if (/[^a-zA-Z0-9]/.test(password)) pool += 33;
+
+  let length = 0;
+  for (let i = 0; i < password.length; i++) {
+    const step = i > 0 ? password.charCodeAt(i) - password.charCodeAt(i - 1) : null;
+    if (step === null || Math.abs(step) > 1) length++;
+  }
+
+  return pool ? Math.round(length * Math.log2(pool)) : 0;
+};
+
+// parts of the name and email local part long enough to be meaningful
+const personalWords = ({ name, email } = {}) => {
+  const words = [];
+  if (typeof name === 'string') words.push(...name.toLowerCase().split(/\s+/));
+  if (typeof email === 'string') {
+    words.push(...email.toLowerCase().split('@')[0].split(/[._+-]/));
+  }
+  return words.filter(word => word.length >= 3);
+};
+
+let breachedRanges;
+
+// hash suffixes grouped by their 5 character prefix, loaded once
+const loadBreachedList = async file => {
+  const ranges = new Map();
+  const lines = readline.createInterface({
+    input: fs.createReadStream(file),
+    crlfDelay: Infinity
+  });
+  for await (const line of lines) {
+    const hash = line.split(':')[0].trim().toUpperCase();
+    if (hash.length !== 40) continue;
+    const prefix = hash.slice(0, 5);
+    if (!ranges.has(prefix)) ranges.set(prefix, new Set());
+    ranges.get(prefix).add(hash.slice(5));
+  }
+  return ranges;
+};
+
+// k-anonymity range lookup: only the first 5 characters of the hash are
+// asked for, so a remote range API can stand in for the local list
+const findRange = async prefix => {
+  if (!breachedRanges) {
+    breachedRanges = loadBreachedList(POLICY.breachedList);
+  }
+  return (await breachedRanges).get(prefix) || new Set();
+};
+
+const isBreached = async password => {
+  if (!POLICY.breachedList) return false;
+
+  const hash = crypto.createHash('sha1').update(password).digest('hex').toUpperCase();
+  const suffixes = await findRange(hash.slice(0, 5));
+  return suffixes.has(hash.slice(5));
+};
+
+// check a password against every rule, returns one error per broken rule in
+// the same shape as express-validator's
+const checkPassword = async (password, user) => {
+  const failed = (rule, msg) => ({ param: 'password', rule, msg });
+  const errors = [];
+  password = typeof password === 'string' ? password : '';
+
+  if (password.length < POLICY.minLength) {
+    errors.push(failed('minLength', `Password must be at least ${POLICY.minLength} characters`));
+  }
+  if (password.length > POLICY.maxLength) {
+    errors.push(failed('maxLength', `Password must be at most ${POLICY.maxLength} characters`));
+  }
+  if (estimateEntropy(password) < POLICY.minEntropy) {
+    errors.push(failed('entropy', 'Password is too easy to guess, try a longer mix of words, numbers and symbols'));
+  }
+  if (POLICY.personalInfo) {
+    const lower = password.toLowerCase();
+    if (personalWords(user).some(word => lower.includes(word))) {
+      errors.push(failed('personalInfo', 'Password must not contain your name or email'));
+    }
+  }
+  if (!errors.length) {
+    try {
+      if (await isBreached(password)) {
+        errors.push(failed('breached', 'This password has appeared in a data breach, please choose another'));
+      }
+    } catch (err) {
+      console.error(`Could not check breached passwords: ${err.message}`);
+    }
+  }
+
+  return errors;
+};
+
+module.exports = {
+  POLICY,
+  estimateEntropy,
+  isBreached,
+  checkPassword
+};
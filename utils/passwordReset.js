@@ -0,0 +1,26 @@
+const crypto = require('crypto');
+const config = require('../config/config');
+const { hashToken } = require('./tokens');
+const { sendMail } = require('./mailer');
+
+const CLIENT_URL = config.clientURL || 'http://localhost:3000';
+const RESET_PASSWORD_EXPIRES = 60 * 60 * 1000; // 1 hour
+
+// store a one-time reset token for the user and email them the link; also
+// how accounts without a password prove they own their address to set one
+const sendPasswordReset = async user => {
+  const token = crypto.randomBytes(32).toString('hex');
+  user.resetPasswordToken = hashToken(token);
+  user.resetPasswordExpires = Date.now() + RESET_PASSWORD_EXPIRES;
+  await user.save();
+
+  await sendMail({
+    to: user.email,
+    subject: 'Reset your DevConnector password',
+    text: `Hi ${user.name},\n\nFollow this link within the next hour to choose a new password:\n\n${CLIENT_URL}/reset-password/${token}\n\nIf you did not ask for this you can ignore this email.`
+  });
+};
+
+module.exports = {
+  sendPasswordReset
+};
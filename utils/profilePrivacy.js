@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+// who may see a profile section, from everyone to the owner only
+const LEVELS = ['public', 'members', 'connections', 'private'];
+
+// the profile fields behind each section that can be hidden; the name,
+// handle, status and skills are always shown so the profile can be found
+const SECTIONS = {
+  company: ['company'],
+  website: ['website'],
+  location: ['location'],
+  bio: ['bio'],
+  github: ['githubusername'],
+  experience: ['experience'],
+  education: ['education'],
+  social: ['social']
+};
+
+// levels someone other than the owner may see. There are no connections
+// between developers yet, so connections-only sections stay with the owner
+// for now, like private ones
+const visibleLevels = viewer => (viewer ? ['public', 'members'] : ['public']);
+
+const ownerId = profile =>
+  profile.user && profile.user._id ? profile.user._id : profile.user;
+
+const isOwner = (profile, viewer) =>
+  Boolean(viewer && profile.user && String(ownerId(profile)) === viewer.id);
+
+const canSee = (profile, section, viewer) =>
+  isOwner(profile, viewer) ||
+  visibleLevels(viewer).includes(
+    (profile.privacy && profile.privacy[section]) || 'public'
+  );
+
+// plain copy of a profile document or aggregation result without the
+// sections the viewer may not see; only owners get the privacy settings
+const serializeProfile = (profile, viewer) => {
+  const data =
+    typeof profile.toJSON === 'function' ? profile.toJSON() : { ...profile };
+  // whatever was looked up, only the public part of the user goes out
+  if (data.user && data.user._id) {
+    const { _id, name, avatar } = data.user;
+    data.user = { _id, name, avatar };
+  }
+  if (isOwner(profile, viewer)) return data;
+
+  Object.keys(SECTIONS)
+    .filter(section => !canSee(profile, section, viewer))
+    .forEach(section => SECTIONS[section].forEach(field => delete data[field]));
+  delete data.privacy;
+  delete data.manualOrder;
+  return data;
+};
+
+// query condition matching profiles whose section the viewer may see, for
+// filtering on fields that may be hidden
+const visibleTo = (section, viewer) => {
+  const path = `privacy.${section}`;
+  const conditions = [
+    { [path]: { $in: visibleLevels(viewer) } },
+    { [path]: { $exists: false } }
+  ];
+  if (viewer) conditions.push({ user: mongoose.Types.ObjectId(viewer.id) });
+  return { $or: conditions };
+};
+
+module.exports = {
+  LEVELS,
+  SECTIONS,
+  canSee,
+  serializeProfile,
+  visibleTo
+};
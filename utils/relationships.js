@@ -0,0 +1,29 @@
+const User = require('../models/User');
+
+// true when the owner has blocked the user; anonymised content has no owner
+const isBlockedBy = (owner, user) =>
+  owner && user ?
+    User.exists({
+      _id: owner,
+      blocked: user
+    }) :
+    Promise.resolve(false);
+
+// the users whose content should not show up for the given user, blocking
+// someone mutes them as well
+const hiddenUsers = async user => {
+  const me = await User.findById(user).select('+blocked +muted');
+  if (!me) return [];
+  return [...me.blocked, ...me.muted].map(id => id.toString());
+};
+
+// users who have blocked the given user
+const blockedBy = async user =>
+  (await User.find({ blocked: user }).distinct('_id'))
+    .map(id => id.toString());
+
+module.exports = {
+  isBlockedBy,
+  hiddenUsers,
+  blockedBy
+};
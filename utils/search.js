@@ -0,0 +1,62 @@
+// characters of context kept on each side of the first match
+const SNIPPET_RADIUS = 60;
+
+const escapeRegExp = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// the words of a query the way they are highlighted: no quotes, negated
+// words or one letter words
+const queryTerms = q =>
+  q.toLowerCase()
+    .replace(/(^|\s)-\S+/g, ' ')
+    .split(/[^\p{L}\p{N}+#.]+/u)
+    .map(term => term.replace(/^\.+|\.+$/g, ''))
+    .filter(term => term.length > 1);
+
+// words starting with a term, so "develop" also marks "developers" the way
+// the text index stems them
+const termPattern = terms =>
+  terms.length ? new RegExp(`(${terms.map(escapeRegExp).join('|')})[\\p{L}\\p{N}]*`, 'giu') : null;
+
+// case-insensitive match of any term anywhere in a field, for queries
+const anyTerm = terms =>
+  terms.length ? new RegExp(terms.map(escapeRegExp).join('|'), 'i') : null;
+
+// cut the text down around its first match and split it into
+// [{ text, match }] parts, leaving the markup to the client
+const snippet = (text, terms) => {
+  const pattern = termPattern(terms);
+  const first = pattern ? text.search(pattern) : -1;
+  if (first < 0) return null;
+
+  const start = Math.max(0, first - SNIPPET_RADIUS);
+  const end = Math.min(text.length, first + SNIPPET_RADIUS * 2);
+  const excerpt = `${start > 0 ? '…' : ''}${text.slice(start, end)}${end < text.length ? '…' : ''}`;
+
+  const parts = [];
+  let last = 0;
+  excerpt.replace(pattern, (match, term, offset) => {
+    if (offset > last) parts.push({ text: excerpt.slice(last, offset), match: false });
+    parts.push({ text: match, match: true });
+    last = offset + match.length;
+    return match;
+  });
+  if (last < excerpt.length) parts.push({ text: excerpt.slice(last), match: false });
+  return parts;
+};
+
+// the first of the candidate { field, text } values with a match
+const bestSnippet = (candidates, terms) => {
+  for (const { field, text, ...rest } of candidates) {
+    const parts = text ? snippet(text, terms) : null;
+    if (parts) return { field, parts, ...rest };
+  }
+  return null;
+};
+
+module.exports = {
+  escapeRegExp,
+  queryTerms,
+  anyTerm,
+  snippet,
+  bestSnippet
+};
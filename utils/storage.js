@@ -0,0 +1,49 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('../config/config');
+
+const UPLOAD_DIR = config.uploadDir || path.join(__dirname, '..', 'uploads');
+const UPLOAD_URL = config.uploadURL || '/uploads';
+
+// a driver stores files under a key ("avatars/<id>/<name>") and exposes
+// put(key, buffer, contentType) resolving to a public URL, and remove(key)
+const drivers = {
+  // files on the API server's disk, served by server.js under UPLOAD_URL
+  local: {
+    put: async (key, buffer) => {
+      const file = path.join(UPLOAD_DIR, key);
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.writeFile(file, buffer);
+      return `${UPLOAD_URL}/${key}`;
+    },
+    remove: async key => {
+      try {
+        await fs.promises.unlink(path.join(UPLOAD_DIR, key));
+      } catch (err) {
+        if (err.code !== 'ENOENT') throw err;
+      }
+    }
+  }
+};
+
+// e.g. an S3-compatible bucket: registerStorage('s3', { put, remove })
+// then set config.storage to 's3'
+const registerStorage = (name, driver) => {
+  drivers[name] = driver;
+};
+
+const getStorage = () => {
+  const name = config.storage || 'local';
+  const driver = drivers[name];
+  if (!driver) {
+    throw new Error(`Unknown storage: ${name}`);
+  }
+  return driver;
+};
+
+module.exports = {
+  UPLOAD_DIR,
+  UPLOAD_URL,
+  registerStorage,
+  getStorage
+};
@@ -0,0 +1,174 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const config = require('../config/config');
+
+const AccessToken = require('../models/AccessToken');
+const RefreshToken = require('../models/RefreshToken');
+const Session = require('../models/Session');
+const User = require('../models/User');
+
+const ACCESS_TOKEN_EXPIRES_IN = config.JWT_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_DAYS = config.REFRESH_TOKEN_DAYS || 30;
+
+const refreshExpiry = () =>
+  new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000);
+
+const hashToken = token =>
+  crypto.createHash('sha256').update(token).digest('hex');
+
+// sign a short-lived access token for the user's session
+const signAccessToken = (user, session) => {
+  const payload = {
+    user: {
+      id: user.id,
+      roles: user.roles,
+      session
+    }
+  };
+
+  return new Promise((resolve, reject) => {
+    jwt.sign(
+      payload,
+      config.JWT_KEY, {
+        expiresIn: ACCESS_TOKEN_EXPIRES_IN
+      },
+      (err, token) => (err ? reject(err) : resolve(token)));
+  });
+};
+
+// create and store a refresh token in the session's family
+const createRefreshToken = async (user, session) => {
+  const token = crypto.randomBytes(40).toString('hex');
+
+  await new RefreshToken({
+    user: user.id,
+    token: hashToken(token),
+    family: session,
+    expires: refreshExpiry()
+  }).save();
+
+  return token;
+};
+
+const signTokens = async (user, session) => ({
+  token: await signAccessToken(user, session),
+  refreshToken: await createRefreshToken(user, session)
+});
+
+// start a session for the request and issue its access / refresh token pair
+const issueTokens = async (user, req) => {
+  const session = await new Session({
+    user: user.id,
+    userAgent: req.get('user-agent'),
+    ip: req.ip,
+    expires: refreshExpiry()
+  }).save();
+
+  return signTokens(user, session.id);
+};
+
+// revoke a session and every refresh token issued for it
+const revokeFamily = async family => {
+  await RefreshToken.updateMany({
+    family,
+    revoked: null
+  }, {
+    $set: {
+      revoked: Date.now()
+    }
+  });
+  await Session.updateOne({
+    _id: family,
+    revoked: null
+  }, {
+    $set: {
+      revoked: Date.now()
+    }
+  });
+};
+
+// revoke every session the user holds, optionally sparing one, along with
+// all of their personal access tokens
+const revokeUserTokens = async (user, except) => {
+  const sessions = await Session.find({
+    user,
+    revoked: null,
+    ...(except && { _id: { $ne: except } })
+  });
+  await Promise.all(sessions.map(session => revokeFamily(session.id)));
+  await AccessToken.deleteMany({
+    user
+  });
+};
+
+// exchange a refresh token for a new pair, returns null if it is not usable
+const rotateRefreshToken = async (token, req) => {
+  const existing = await RefreshToken.findOne({
+    token: hashToken(token)
+  });
+  if (!existing || existing.expires < Date.now()) {
+    return null;
+  }
+
+  // mark it used; if somebody got there first the token has been replayed
+  const current = await RefreshToken.findOneAndUpdate({
+    _id: existing._id,
+    revoked: null
+  }, {
+    $set: {
+      revoked: Date.now()
+    }
+  });
+  if (!current) {
+    await revokeFamily(existing.family);
+    return null;
+  }
+
+  const user = await User.findById(existing.user);
+  const session = await Session.findOneAndUpdate({
+    _id: existing.family,
+    revoked: null
+  }, {
+    $set: {
+      ip: req.ip,
+      lastSeen: Date.now(),
+      expires: refreshExpiry()
+    }
+  });
+  if (!user || !session) {
+    await revokeFamily(existing.family);
+    return null;
+  }
+
+  const tokens = await signTokens(user, existing.family);
+  await RefreshToken.updateOne({
+    _id: existing._id
+  }, {
+    $set: {
+      replacedBy: hashToken(tokens.refreshToken)
+    }
+  });
+
+  return tokens;
+};
+
+// revoke the family the given refresh token belongs to, returns the token
+const revokeRefreshToken = async token => {
+  const existing = await RefreshToken.findOne({
+    token: hashToken(token)
+  });
+  if (existing) {
+    await revokeFamily(existing.family);
+  }
+  return existing;
+};
+
+module.exports = {
+  hashToken,
+  signAccessToken,
+  issueTokens,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeFamily,
+  revokeUserTokens
+};
@@ -0,0 +1,97 @@
+// RFC 6238 time-based one-time passwords (SHA-1, 30 second steps, 6 digits)
+const crypto = require('crypto');
+
+const ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP = 30;
+const DIGITS = 6;
+
+const base32Encode = buf => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buf) {
+    value = ((value << 8) | byte) & 0xffff;
+    bits += 8;
+    while (bits >= 5) {
+      output += ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+};
+
+const base32Decode = str => {
+  let bits = 0;
+  let value = 0;
+  const output = [];
+
+  for (const char of str.replace(/=+$/, '').toUpperCase()) {
+    const index = ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+    value = ((value << 5) | index) & 0xffff;
+    bits += 5;
+    if (bits >= 8) {
+      output.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(output);
+};
+
+// RFC 4226 HOTP value for a counter
+const hotp = (key, counter) => {
+  const buf = Buffer.alloc(8);
+  buf.writeUInt32BE(Math.floor(counter / 0x100000000), 0);
+  buf.writeUInt32BE(counter % 0x100000000, 4);
+
+  const hmac = crypto.createHmac('sha1', key).update(buf).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const code = ((hmac[offset] & 0x7f) << 24) |
+    (hmac[offset + 1] << 16) |
+    (hmac[offset + 2] << 8) |
+    hmac[offset + 3];
+
+  return (code % Math.pow(10, DIGITS)).toString().padStart(DIGITS, '0');
+};
+
+const currentStep = (time = Date.now()) => Math.floor(time / 1000 / STEP);
+
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+const generateToken = (secret, time) => hotp(base32Decode(secret), currentStep(time));
+
+// returns the matching time step, or null; steps up to lastStep are refused
+// so a code cannot be replayed
+const verifyToken = (secret, token, lastStep = -1, window = 1) => {
+  if (!/^\d{6}$/.test(token || '')) {
+    return null;
+  }
+
+  const key = base32Decode(secret);
+  const step = currentStep();
+  for (let i = -window; i <= window; i++) {
+    const candidate = step + i;
+    if (candidate > lastStep && hotp(key, candidate) === token) {
+      return candidate;
+    }
+  }
+  return null;
+};
+
+const otpauthURL = (secret, account, issuer = 'DevConnector') =>
+  `otpauth://totp/${encodeURIComponent(`${issuer}:${account}`)}?secret=${secret}&issuer=${encodeURIComponent(issuer)}&algorithm=SHA1&digits=${DIGITS}&period=${STEP}`;
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateToken,
+  verifyToken,
+  otpauthURL
+};